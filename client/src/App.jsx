@@ -11,6 +11,35 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// One line per change an upload would make to the playlist's Yoto card(s)
+function describeCardUpdate(preview) {
+  const lines = [];
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+  for (const card of preview.cards) {
+    const label = preview.cards.length > 1 ? `Card ${card.part + 1}: ` : '';
+    if (card.new) {
+      lines.push(`${label}new card "${card.title}" with ${plural(card.chapterCount, 'chapter')}`);
+      continue;
+    }
+    if (card.unchanged) {
+      lines.push(`${label}no changes`);
+      continue;
+    }
+    if (card.title) lines.push(`${label}renamed from "${card.title.from}" to "${card.title.to}"`);
+    const { added, removed, reordered, retitled, changed } = card.chapters;
+    added.forEach(c => lines.push(`${label}+ ${c.title}`));
+    removed.forEach(c => lines.push(`${label}− ${c.title}`));
+    retitled.forEach(c => lines.push(`${label}"${c.from}" → "${c.to}"`));
+    if (reordered.length > 0) lines.push(`${label}${plural(reordered.length, 'chapter')} moved`);
+    if (changed.length > 0) lines.push(`${label}different audio in ${plural(changed.length, 'chapter')}`);
+    if (card.tracks.upload.length > 0) lines.push(`${label}${plural(card.tracks.upload.length, 'track')} to upload`);
+  }
+  preview.unusedCards.forEach(c => lines.push(`Card ${c.part + 1} is no longer needed and will be left as it is`));
+
+  return lines;
+}
+
 function App() {
   const [playlists, setPlaylists] = useState([]);
   const [currentPlaylist, setCurrentPlaylist] = useState(null);
@@ -24,6 +53,7 @@ function App() {
   const [exporting, setExporting] = useState(false);
   const [uploadingToYoto, setUploadingToYoto] = useState(false);
   const [yotoUploadProgress, setYotoUploadProgress] = useState(null);
+  const [cardUpdatePreview, setCardUpdatePreview] = useState(null);
   const [previewId, setPreviewId] = useState(null);
   const [yotoStatus, setYotoStatus] = useState({ configured: false, checking: true });
   const [yotoLoginModal, setYotoLoginModal] = useState(null); // { deviceCode, userCode, verificationUri, ... }
@@ -273,9 +303,9 @@ function App() {
     }
     setIsSearching(true);
     try {
-      const res = await fetch(`/api/search?q=${encodeURIComponent(searchQuery)}`);
+      const res = await fetch(`/api/search?q=${encodeURIComponent(searchQuery)}&scope=both`);
       const data = await res.json();
-      setSearchResults(data);
+      setSearchResults(data.results || []);
     } catch (err) {
       showToast('Search failed', 'error');
     } finally {
@@ -405,14 +435,14 @@ function App() {
   };
 
   // Download song
-  const downloadSong = async (youtubeId, songId) => {
-    setDownloading(d => ({ ...d, [youtubeId]: true }));
+  const downloadSong = async (songId) => {
+    setDownloading(d => ({ ...d, [songId]: true }));
     setDownloadErrors(e => {
       const { [songId]: _, ...rest } = e;
       return rest;
     });
     try {
-      const res = await fetch(`/api/downloads/${youtubeId}`, { method: 'POST' });
+      const res = await fetch(`/api/downloads/song/${songId}`, { method: 'POST' });
       const data = await res.json();
       if (data.success) {
         showToast(data.cached ? 'Already downloaded' : 'Downloaded!', 'success');
@@ -427,7 +457,7 @@ function App() {
       setDownloadErrors(e => ({ ...e, [songId]: errorMsg }));
       showToast('Download failed', 'error');
     } finally {
-      setDownloading(d => ({ ...d, [youtubeId]: false }));
+      setDownloading(d => ({ ...d, [songId]: false }));
     }
   };
 
@@ -448,15 +478,12 @@ function App() {
           total: data.total,
           title: data.title
         });
-        setDownloading(d => ({ ...d, [data.youtube_id]: true }));
+        setDownloading(d => ({ ...d, [data.song_id]: true }));
       } else if (data.type === 'complete') {
-        setDownloading(d => ({ ...d, [data.youtube_id]: false }));
+        setDownloading(d => ({ ...d, [data.song_id]: false }));
       } else if (data.type === 'error') {
-        const song = currentPlaylist.songs.find(s => s.youtube_id === data.youtube_id);
-        if (song) {
-          setDownloadErrors(e => ({ ...e, [song.id]: data.error }));
-        }
-        setDownloading(d => ({ ...d, [data.youtube_id]: false }));
+        setDownloadErrors(e => ({ ...e, [data.song_id]: data.error }));
+        setDownloading(d => ({ ...d, [data.song_id]: false }));
       } else if (data.type === 'done') {
         eventSource.close();
         setDownloading(d => ({ ...d, all: false }));
@@ -509,10 +536,37 @@ function App() {
       return;
     }
 
+    // Updating existing card(s): show what would change first, and upload once confirmed
+    if (currentPlaylist.cards?.length > 0) {
+      try {
+        const res = await fetch(`/api/yoto/upload-playlist/${currentPlaylist.id}/preview`);
+        const data = await res.json();
+        if (!res.ok) {
+          showToast(data.error || 'Failed to check the Yoto card', 'error');
+          return;
+        }
+        setCardUpdatePreview(data);
+      } catch {
+        showToast('Failed to check the Yoto card', 'error');
+      }
+      return;
+    }
+
+    startYotoUpload();
+  };
+
+  const confirmCardUpdate = () => {
+    const { confirmToken } = cardUpdatePreview;
+    setCardUpdatePreview(null);
+    startYotoUpload(confirmToken);
+  };
+
+  const startYotoUpload = (confirmToken) => {
     setUploadingToYoto(true);
     setYotoUploadProgress({ current: 0, total: currentPlaylist.songs.length, title: '', logs: [] });
 
-    const eventSource = new EventSource(`/api/yoto/upload-playlist/${currentPlaylist.id}/stream`);
+    const query = confirmToken ? `?confirm=${encodeURIComponent(confirmToken)}` : '';
+    const eventSource = new EventSource(`/api/yoto/upload-playlist/${currentPlaylist.id}/stream${query}`);
 
     eventSource.onmessage = (event) => {
       const data = JSON.parse(event.data);
@@ -540,6 +594,12 @@ function App() {
           ...p,
           logs: [...(p?.logs || []), `✗ Failed: ${data.title} - ${data.error}`]
         }));
+      } else if (data.type === 'error' && data.needsConfirmation) {
+        // The card exists (or changed since the preview): review the changes again
+        eventSource.close();
+        setYotoUploadProgress(null);
+        setUploadingToYoto(false);
+        setCardUpdatePreview(data.preview);
       } else if (data.type === 'error') {
         eventSource.close();
         setYotoUploadProgress(p => ({
@@ -560,6 +620,8 @@ function App() {
           uploadedTracks: data.uploadedTracks
         }));
         showToast(`Uploaded ${data.uploadedTracks} tracks to Yoto!`, 'success');
+        // Pick up the card(s) the upload created, so the next upload previews its changes
+        fetchPlaylist(currentPlaylist.id);
         if (data.errors?.length > 0) {
           showToast(`${data.errors.length} tracks failed`, 'error');
         }
@@ -806,14 +868,14 @@ function App() {
 
                                 {/* Always visible status/download section */}
                                 <div className="song-download-status">
-                                  {downloading[song.youtube_id] ? (
+                                  {downloading[song.id] ? (
                                     <span className="spinner" />
                                   ) : song.file_path ? (
                                     <span className="status-icon downloaded" title="Downloaded">✓</span>
                                   ) : downloadErrors[song.id] ? (
                                     <button
                                       className="btn btn-sm btn-error"
-                                      onClick={() => downloadSong(song.youtube_id, song.id)}
+                                      onClick={() => downloadSong(song.id)}
                                       title="Retry download"
                                     >
                                       ↻
@@ -821,7 +883,7 @@ function App() {
                                   ) : (
                                     <button
                                       className="btn btn-sm btn-ghost"
-                                      onClick={() => downloadSong(song.youtube_id, song.id)}
+                                      onClick={() => downloadSong(song.id)}
                                       title="Download"
                                     >
                                       ⬇️
@@ -875,7 +937,7 @@ function App() {
             ) : (
               searchResults.map(result => (
                 <div
-                  key={result.youtube_id}
+                  key={result.song_id || result.youtube_id}
                   className="search-result"
                 >
                   <div className="search-result-thumb-wrapper">
@@ -884,18 +946,21 @@ function App() {
                     ) : (
                       <div className="search-result-thumb" />
                     )}
-                    <button
-                      className="preview-btn"
-                      onClick={(e) => openPreview(result.youtube_id, e)}
-                      title="Preview"
-                    >
-                      ▶
-                    </button>
+                    {result.youtube_id && (
+                      <button
+                        className="preview-btn"
+                        onClick={(e) => openPreview(result.youtube_id, e)}
+                        title="Preview"
+                      >
+                        ▶
+                      </button>
+                    )}
                   </div>
                   <div className="search-result-info" onClick={() => addSongToPlaylist(result)}>
                     <div className="search-result-title">{result.title}</div>
                     <div className="search-result-meta">
                       {result.artist} • {formatDuration(result.duration)}
+                      {result.downloaded && ' • Downloaded'}
                     </div>
                   </div>
                   <button
@@ -1006,6 +1071,36 @@ function App() {
         </div>
       )}
 
+      {/* Yoto Card Update Confirmation Modal */}
+      {cardUpdatePreview && (
+        <div className="modal-overlay" onClick={() => setCardUpdatePreview(null)}>
+          <div className="yoto-login-modal" onClick={e => e.stopPropagation()}>
+            <div className="yoto-login-header">
+              <span className="yoto-login-icon">🎴</span>
+              <h2>Update Yoto card?</h2>
+            </div>
+            <div className="yoto-login-content">
+              {cardUpdatePreview.remoteEdited && (
+                <p className="card-update-warning">
+                  The card was edited in the Yoto app since the last upload. Those edits will be replaced.
+                </p>
+              )}
+              <ul className="card-update-changes">
+                {describeCardUpdate(cardUpdatePreview).map((line, i) => <li key={i}>{line}</li>)}
+              </ul>
+              <div className="yoto-logout-actions">
+                <button className="btn btn-secondary" onClick={() => setCardUpdatePreview(null)}>
+                  Cancel
+                </button>
+                <button className="btn btn-primary" onClick={confirmCardUpdate}>
+                  Update card
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Yoto Upload Progress Panel */}
       {yotoUploadProgress && (
         <div className="yoto-progress-panel">
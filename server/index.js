@@ -7,11 +7,16 @@ dotenv.config({ path: path.join(__dirname, '../.env') });
 import express from 'express';
 import cors from 'cors';
 import { initDb } from './lib/db.js';
+import { startJobQueue } from './lib/jobs.js';
+import { startMirrorScheduler } from './lib/mirror.js';
 import playlistRoutes from './routes/playlists.js';
 import searchRoutes from './routes/search.js';
 import downloadRoutes from './routes/downloads.js';
 import exportRoutes from './routes/export.js';
 import yotoRoutes from './routes/yoto.js';
+import jobRoutes from './routes/jobs.js';
+import iconRoutes from './routes/icons.js';
+import songRoutes from './routes/songs.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -22,12 +27,21 @@ app.use(express.json());
 // Initialize database
 initDb();
 
+// Resume background jobs (downloads etc.) left over from the last run
+startJobQueue();
+
+// Periodically refresh playlists linked to a YouTube source (if configured)
+startMirrorScheduler();
+
 // Routes
 app.use('/api/playlists', playlistRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/downloads', downloadRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/yoto', yotoRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/icons', iconRoutes);
+app.use('/api/songs', songRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,233 @@
+import { spawn } from 'child_process';
+import path from 'path';
+
+// Audio formats accepted for local import, with the MIME types used when uploading them
+export const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac'
+};
+
+export function isSupportedAudioFile(filename) {
+  return path.extname(filename).toLowerCase() in AUDIO_MIME_TYPES;
+}
+
+export function getAudioMimeType(filePath) {
+  return AUDIO_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Read duration and tags from an audio file with ffprobe
+export function probeAudio(filePath) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'quiet',
+      '-print_format', 'json',
+      '-show_format',
+      filePath
+    ];
+
+    const ffprobe = spawn('ffprobe', args);
+    let stdout = '';
+    let stderr = '';
+
+    ffprobe.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    ffprobe.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(stderr || `ffprobe exited with code ${code}`));
+        return;
+      }
+
+      try {
+        const { format = {} } = JSON.parse(stdout);
+
+        // Tag names vary in case between containers (ID3 vs Vorbis comments)
+        const tags = {};
+        for (const [key, value] of Object.entries(format.tags || {})) {
+          tags[key.toLowerCase()] = value;
+        }
+
+        resolve({
+          duration: Math.round(parseFloat(format.duration) || 0),
+          title: tags.title || '',
+          artist: tags.artist || tags.album_artist || '',
+          album: tags.album || ''
+        });
+      } catch (parseError) {
+        reject(new Error(`Failed to parse ffprobe output: ${parseError.message}`));
+      }
+    });
+
+    ffprobe.on('error', (error) => {
+      reject(new Error(`Failed to start ffprobe: ${error.message}. Is ffmpeg installed?`));
+    });
+  });
+}
+
+// Run ffmpeg to completion. Resolves with its stderr (where ffmpeg writes its reports).
+export function runFfmpeg(args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-hide_banner', '-nostdin', ...args]);
+    let stderr = '';
+
+    const onAbort = () => ffmpeg.kill('SIGTERM');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+
+      if (signal?.aborted) {
+        reject(new Error('ffmpeg cancelled'));
+      } else if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.slice(-500)}`));
+      } else {
+        resolve(stderr);
+      }
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`Failed to start ffmpeg: ${error.message}. Is ffmpeg installed?`));
+    });
+  });
+}
+
+// Two-pass EBU R128 loudness normalization into an MP3 at outputPath.
+// Returns the loudness measured on the input (integrated LUFS, true peak dBTP, loudness range LU).
+export async function normalizeLoudness(inputPath, outputPath, { targetLufs, truePeak, lra = 11 }, { signal } = {}) {
+  const target = `I=${targetLufs}:TP=${truePeak}:LRA=${lra}`;
+
+  // Pass 1: measure
+  const report = await runFfmpeg([
+    '-i', inputPath,
+    '-map', '0:a:0',
+    '-af', `loudnorm=${target}:print_format=json`,
+    '-f', 'null', '-'
+  ], { signal });
+
+  const json = report.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!json) {
+    throw new Error('Could not read loudness measurement from ffmpeg');
+  }
+  const measured = JSON.parse(json[0]);
+  if (!Number.isFinite(parseFloat(measured.input_i))) {
+    throw new Error('Audio is silent, nothing to normalize');
+  }
+
+  // Pass 2: apply, using the measurement for a linear (dynamics-preserving) gain where possible
+  await runFfmpeg([
+    '-y',
+    '-i', inputPath,
+    '-map', '0:a:0',
+    '-map_metadata', '0',
+    '-af', [
+      `loudnorm=${target}`,
+      `measured_I=${measured.input_i}`,
+      `measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}`,
+      `measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}`,
+      'linear=true'
+    ].join(':'),
+    '-ar', '44100',
+    '-c:a', 'libmp3lame',
+    '-q:a', '2',
+    '-f', 'mp3',
+    outputPath
+  ], { signal });
+
+  return {
+    lufs: parseFloat(measured.input_i),
+    truePeak: parseFloat(measured.input_tp),
+    lra: parseFloat(measured.input_lra)
+  };
+}
+
+// Cut [start, end) seconds out of an audio file into an MP3 at outputPath (end is optional)
+export function trimAudio(inputPath, outputPath, { start = 0, end = null }, { signal } = {}) {
+  const args = ['-y'];
+  if (start > 0) {
+    args.push('-ss', String(start));
+  }
+  args.push('-i', inputPath);
+  if (end != null) {
+    args.push('-t', String(end - start));
+  }
+  args.push(
+    '-map', '0:a:0',
+    '-map_metadata', '0',
+    '-c:a', 'libmp3lame',
+    '-q:a', '2',
+    '-f', 'mp3',
+    outputPath
+  );
+
+  return runFfmpeg(args, { signal });
+}
+
+// ffmpeg muxer for each supported format, so tagged copies can be written to any file name
+const OUTPUT_FORMATS = {
+  '.mp3': 'mp3',
+  '.m4a': 'ipod',
+  '.ogg': 'ogg',
+  '.wav': 'wav',
+  '.flac': 'flac'
+};
+
+// Encoders for converting to a format (only needed for formats players insist on)
+const AUDIO_ENCODERS = {
+  '.mp3': 'libmp3lame'
+};
+
+// Formats ffmpeg can embed cover art in as an attached picture
+const COVER_ART_EXTENSIONS = ['.mp3', '.m4a', '.flac'];
+
+// Copy an audio file to outputPath with { title, artist, album, track, totalTracks } tags set
+// and, where the format allows, coverPath as front cover art. Other tags are kept; the input
+// file is left untouched. The audio is copied as is unless format (an extension such as
+// '.mp3') asks for a different format than the input's, in which case it's re-encoded.
+export function writeAudioTags(inputPath, outputPath, tags, { signal, format } = {}) {
+  const inputExt = path.extname(inputPath).toLowerCase();
+  const ext = format || inputExt;
+  const withCover = tags.coverPath && COVER_ART_EXTENSIONS.includes(ext);
+
+  const args = ['-y', '-i', inputPath];
+  if (withCover) {
+    args.push('-i', tags.coverPath);
+  }
+  args.push('-map', '0:a:0');
+  if (withCover) {
+    args.push(
+      '-map', '1:v:0',
+      '-disposition:v', 'attached_pic',
+      '-metadata:s:v', 'title=Album cover',
+      '-metadata:s:v', 'comment=Cover (front)'
+    );
+  }
+  args.push('-map_metadata', '0', '-c:v', 'copy');
+  args.push(...(ext === inputExt ? ['-c:a', 'copy'] : ['-c:a', AUDIO_ENCODERS[ext] || 'copy', '-q:a', '2']));
+
+  const track = tags.track && (tags.totalTracks ? `${tags.track}/${tags.totalTracks}` : String(tags.track));
+  for (const [key, value] of Object.entries({ title: tags.title, artist: tags.artist, album: tags.album, track })) {
+    if (value) args.push('-metadata', `${key}=${value}`);
+  }
+
+  if (ext === '.mp3') {
+    // ID3v2.3 is what most car stereos and older players read
+    args.push('-id3v2_version', '3');
+  }
+  args.push('-f', OUTPUT_FORMATS[ext] || ext.slice(1), outputPath);
+
+  return runFfmpeg(args, { signal });
+}
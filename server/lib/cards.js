@@ -0,0 +1,35 @@
+import { db } from './db.js';
+
+// Yoto cards a playlist is uploaded to, by part (just part 0 unless it's split across cards)
+export function getPlaylistCards(playlistId) {
+  return db.prepare(`
+    SELECT * FROM playlist_cards WHERE playlist_id = ? ORDER BY part_index
+  `).all(playlistId);
+}
+
+export function findPlaylistByCard(cardId) {
+  return db.prepare('SELECT playlist_id FROM playlist_cards WHERE card_id = ?').get(cardId)?.playlist_id || null;
+}
+
+// Record a part's card and the fingerprint of its content (pushed = false for imported cards)
+export function saveCardPart(playlistId, partIndex, { cardId, contentHash, pushed = true }) {
+  db.prepare(`
+    INSERT INTO playlist_cards (playlist_id, part_index, card_id, content_hash, pushed_at)
+    VALUES (?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END)
+    ON CONFLICT(playlist_id, part_index) DO UPDATE SET
+      card_id = excluded.card_id,
+      content_hash = excluded.content_hash,
+      pushed_at = COALESCE(excluded.pushed_at, pushed_at)
+  `).run(playlistId, partIndex, cardId, contentHash, pushed ? 1 : 0);
+}
+
+// Forget the cards of parts the playlist no longer has. Returns their card ids; the cards
+// themselves are left on Yoto.
+export function removeCardPartsFrom(playlistId, partCount) {
+  const removed = db.prepare(`
+    SELECT card_id FROM playlist_cards WHERE playlist_id = ? AND part_index >= ?
+  `).all(playlistId, partCount).map(c => c.card_id);
+
+  db.prepare('DELETE FROM playlist_cards WHERE playlist_id = ? AND part_index >= ?').run(playlistId, partCount);
+  return removed;
+}
@@ -0,0 +1,79 @@
+import { db } from './db.js';
+
+// Chapters group playlist entries into multi-track Yoto chapters. Entry positions are kept
+// grouped by chapter (in chapter order, unassigned entries last), so exports and the card
+// always agree on track order.
+
+export function getChapters(playlistId) {
+  const chapters = db.prepare(`
+    SELECT * FROM chapters WHERE playlist_id = ? ORDER BY position
+  `).all(playlistId);
+
+  const entries = db.prepare(`
+    SELECT song_id, chapter_id FROM playlist_songs WHERE playlist_id = ? ORDER BY position
+  `).all(playlistId);
+
+  return chapters.map(chapter => ({
+    ...chapter,
+    song_ids: entries.filter(e => e.chapter_id === chapter.id).map(e => e.song_id)
+  }));
+}
+
+// Renumber entry positions so each chapter's entries are contiguous, in chapter order,
+// keeping the existing relative order within each chapter
+export const normalizeEntryOrder = db.transaction((playlistId) => {
+  const chapters = db.prepare(`
+    SELECT id FROM chapters WHERE playlist_id = ? ORDER BY position
+  `).all(playlistId);
+  if (chapters.length === 0) return;
+
+  const rank = new Map(chapters.map((c, i) => [c.id, i]));
+  const entries = db.prepare(`
+    SELECT id, chapter_id FROM playlist_songs WHERE playlist_id = ? ORDER BY position
+  `).all(playlistId);
+
+  const sorted = [...entries].sort((a, b) =>
+    (rank.get(a.chapter_id) ?? Infinity) - (rank.get(b.chapter_id) ?? Infinity)
+  );
+
+  const updateStmt = db.prepare('UPDATE playlist_songs SET position = ? WHERE id = ?');
+  sorted.forEach((entry, index) => {
+    updateStmt.run(index, entry.id);
+  });
+});
+
+// Make songIds (in that order) the tracks of a chapter. Entries previously in the
+// chapter but not listed become unassigned.
+export const setChapterSongs = db.transaction((playlistId, chapterId, songIds) => {
+  db.prepare(`
+    UPDATE playlist_songs SET chapter_id = NULL WHERE playlist_id = ? AND chapter_id = ?
+  `).run(playlistId, chapterId);
+
+  // Negative positions sort the listed songs first (in order) within the chapter; normalizing renumbers them
+  const assignStmt = db.prepare(`
+    UPDATE playlist_songs SET chapter_id = ?, position = ? WHERE playlist_id = ? AND song_id = ?
+  `);
+  songIds.forEach((songId, index) => {
+    assignStmt.run(chapterId, index - songIds.length, playlistId, songId);
+  });
+
+  normalizeEntryOrder(playlistId);
+});
+
+// Renumber chapter positions after a delete, or to apply a new order
+// (chapters missing from chapterIds keep their relative order after the listed ones)
+export const renumberChapters = db.transaction((playlistId, chapterIds = []) => {
+  const current = db.prepare(`
+    SELECT id FROM chapters WHERE playlist_id = ? ORDER BY position
+  `).all(playlistId).map(c => c.id);
+
+  const listed = chapterIds.filter(id => current.includes(id));
+  const ids = [...listed, ...current.filter(id => !listed.includes(id))];
+
+  const updateStmt = db.prepare('UPDATE chapters SET position = ? WHERE id = ? AND playlist_id = ?');
+  ids.forEach((id, index) => {
+    updateStmt.run(index, id, playlistId);
+  });
+
+  normalizeEntryOrder(playlistId);
+});
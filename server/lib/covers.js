@@ -0,0 +1,136 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from './db.js';
+import { runFfmpeg } from './audio.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const COVERS_DIR = path.join(__dirname, '../../data/covers');
+
+// Ensure covers directory exists
+if (!fs.existsSync(COVERS_DIR)) {
+  fs.mkdirSync(COVERS_DIR, { recursive: true });
+}
+
+const COVER_SIZE = 640;
+const STOCK_COVER_BASE = 'https://cdn.yoto.io/myo-cover';
+
+// Stock MYO covers offered in the picker (any name from the Yoto app's cover list also works).
+// Yoto doesn't publish the list, so besides the default cover the picker offers every stock
+// cover seen on the account's cards (remembered in the settings table).
+export const STOCK_COVERS = ['star_grapefruit'];
+export const DEFAULT_COVER_URL = stockCoverUrl('star_grapefruit');
+
+const SEEN_STOCK_COVERS_KEY = 'stock_covers_seen';
+
+export function stockCoverUrl(name) {
+  return `${STOCK_COVER_BASE}/${name}.gif`;
+}
+
+export function getStockCovers() {
+  return [...new Set([...STOCK_COVERS, ...readSeenStockCovers()])];
+}
+
+// Remember the stock covers among these cover URLs (from cards listed or imported from Yoto)
+export function rememberStockCovers(urls) {
+  const seen = readSeenStockCovers();
+  const names = urls
+    .filter(url => typeof url === 'string' && url.startsWith(`${STOCK_COVER_BASE}/`))
+    .map(url => path.basename(url, '.gif'))
+    .filter(name => isValidStockCoverName(name) && !STOCK_COVERS.includes(name) && !seen.includes(name));
+  if (names.length === 0) return;
+
+  db.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(SEEN_STOCK_COVERS_KEY, JSON.stringify([...seen, ...new Set(names)]));
+}
+
+function readSeenStockCovers() {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(SEEN_STOCK_COVERS_KEY);
+  try {
+    return row ? JSON.parse(row.value) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function isValidStockCoverName(name) {
+  return typeof name === 'string' && /^[a-z0-9_-]+$/i.test(name);
+}
+
+// Crop an image to a centered square, resize it, and store it as the playlist's cover.
+// The Yoto copy is uploaded on the next card sync (cover_url is cleared until then).
+export async function saveCoverImage(playlistId, inputPath, source) {
+  const coverPath = path.join(COVERS_DIR, `${playlistId}.jpg`);
+  const partPath = `${coverPath}.part`;
+
+  try {
+    await runFfmpeg([
+      '-y',
+      '-i', inputPath,
+      '-frames:v', '1',
+      '-vf', `crop='min(iw,ih)':'min(iw,ih)',scale=${COVER_SIZE}:${COVER_SIZE}`,
+      '-q:v', '3',
+      '-f', 'image2',
+      partPath
+    ]);
+    fs.renameSync(partPath, coverPath);
+  } catch (error) {
+    throw new Error(`Could not process image: ${error.message}`);
+  } finally {
+    fs.rmSync(partPath, { force: true });
+  }
+
+  db.prepare(`
+    UPDATE playlists
+    SET cover_path = ?, cover_source = ?, cover_url = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(coverPath, source, playlistId);
+
+  return coverPath;
+}
+
+// Download an image (e.g. a song thumbnail) and store it as the playlist's cover
+export async function saveCoverFromUrl(playlistId, url, source) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status}`);
+  }
+
+  const tempPath = path.join(os.tmpdir(), `cover-${uuidv4()}`);
+  fs.writeFileSync(tempPath, Buffer.from(await response.arrayBuffer()));
+
+  try {
+    return await saveCoverImage(playlistId, tempPath, source);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+// Stock covers are already hosted by Yoto, so they're referenced directly
+export function setStockCover(playlistId, name) {
+  removeCoverFile(playlistId);
+
+  db.prepare(`
+    UPDATE playlists
+    SET cover_path = NULL, cover_source = 'stock', cover_url = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(stockCoverUrl(name), playlistId);
+}
+
+export function clearCover(playlistId) {
+  removeCoverFile(playlistId);
+
+  db.prepare(`
+    UPDATE playlists
+    SET cover_path = NULL, cover_source = NULL, cover_url = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(playlistId);
+}
+
+function removeCoverFile(playlistId) {
+  fs.rmSync(path.join(COVERS_DIR, `${playlistId}.jpg`), { force: true });
+}
@@ -23,21 +23,52 @@ export function initDb() {
     )
   `);
 
-  // Songs cache table (downloaded songs)
+  // Songs cache table (downloaded songs, local files imported with source = 'local',
+  // and remote-only tracks imported from a Yoto card with source = 'yoto')
   db.exec(`
     CREATE TABLE IF NOT EXISTS songs (
       id TEXT PRIMARY KEY,
-      youtube_id TEXT UNIQUE NOT NULL,
+      youtube_id TEXT UNIQUE,
       title TEXT NOT NULL,
       artist TEXT,
       duration INTEGER,
       thumbnail TEXT,
       file_path TEXT,
       downloaded_at DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      source TEXT DEFAULT 'youtube'
     )
   `);
 
+  // Migration: songs.youtube_id used to be NOT NULL, which local files can't satisfy.
+  // SQLite can't drop a constraint, so rebuild the table (foreign keys off so
+  // dropping the old table doesn't cascade into playlist_songs).
+  const songColumns = db.prepare("PRAGMA table_info(songs)").all();
+  if (songColumns.find(c => c.name === 'youtube_id')?.notnull) {
+    db.pragma('foreign_keys = OFF');
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE songs_new (
+          id TEXT PRIMARY KEY,
+          youtube_id TEXT UNIQUE,
+          title TEXT NOT NULL,
+          artist TEXT,
+          duration INTEGER,
+          thumbnail TEXT,
+          file_path TEXT,
+          downloaded_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          source TEXT DEFAULT 'youtube'
+        );
+        INSERT INTO songs_new (id, youtube_id, title, artist, duration, thumbnail, file_path, downloaded_at, created_at)
+          SELECT id, youtube_id, title, artist, duration, thumbnail, file_path, downloaded_at, created_at FROM songs;
+        DROP TABLE songs;
+        ALTER TABLE songs_new RENAME TO songs;
+      `);
+    })();
+    db.pragma('foreign_keys = ON');
+  }
+
   // Playlist songs junction table (with ordering)
   db.exec(`
     CREATE TABLE IF NOT EXISTS playlist_songs (
@@ -60,18 +91,317 @@ export function initDb() {
     )
   `);
 
+  // Background jobs (downloads etc.), persisted so they survive restarts
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      song_id TEXT,
+      playlist_id TEXT,
+      payload TEXT,
+      result TEXT,
+      error TEXT,
+      attempts INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+      FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Yoto upload sessions, so an interrupted card upload can be reattached to or resumed
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      id TEXT PRIMARY KEY,
+      playlist_id TEXT NOT NULL,
+      job_id TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      card_id TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Per-track state within an upload session: pending -> uploaded -> transcoded (or failed)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_session_tracks (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      song_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      title TEXT,
+      duration INTEGER,
+      status TEXT NOT NULL DEFAULT 'pending',
+      upload_id TEXT,
+      transcoded_key TEXT,
+      error TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES upload_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Yoto transcoded audio keys per song file, so the same audio isn't uploaded and transcoded twice.
+  // file_size/file_mtime let a later build trust the key without re-hashing the file. Songs
+  // sharing the same audio each get their own row, so deleting one keeps the others' keys.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS song_yoto_media (
+      sha256 TEXT NOT NULL,
+      song_id TEXT NOT NULL,
+      transcoded_key TEXT NOT NULL,
+      file_path TEXT,
+      file_size INTEGER,
+      file_mtime INTEGER,
+      transcoded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (sha256, song_id),
+      FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Migration: song_yoto_media used to be keyed by sha256 alone, so a second song with the
+  // same audio took the row over. Rebuild it with the (sha256, song_id) key.
+  const mediaKey = db.prepare('PRAGMA table_info(song_yoto_media)').all().filter(c => c.pk > 0);
+  if (mediaKey.length === 1) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE song_yoto_media_new (
+          sha256 TEXT NOT NULL,
+          song_id TEXT NOT NULL,
+          transcoded_key TEXT NOT NULL,
+          file_path TEXT,
+          file_size INTEGER,
+          file_mtime INTEGER,
+          transcoded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (sha256, song_id),
+          FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+        );
+        INSERT INTO song_yoto_media_new SELECT sha256, song_id, transcoded_key, file_path, file_size, file_mtime, transcoded_at
+          FROM song_yoto_media;
+        DROP TABLE song_yoto_media;
+        ALTER TABLE song_yoto_media_new RENAME TO song_yoto_media;
+      `);
+    })();
+  }
+
+  // Chapter icon library: 16x16 palette PNGs, with the Yoto media id once uploaded
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS icons (
+      id TEXT PRIMARY KEY,
+      name TEXT,
+      file_path TEXT NOT NULL,
+      sha256 TEXT UNIQUE NOT NULL,
+      yoto_media_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Chapters group several playlist entries into one Yoto chapter
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chapters (
+      id TEXT PRIMARY KEY,
+      playlist_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      icon_id TEXT,
+      position INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+      FOREIGN KEY (icon_id) REFERENCES icons(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Yoto cards a playlist is uploaded to: part 0 only, unless it's split across several cards
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playlist_cards (
+      playlist_id TEXT NOT NULL,
+      part_index INTEGER NOT NULL,
+      card_id TEXT NOT NULL,
+      content_hash TEXT,
+      pushed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (playlist_id, part_index),
+      FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE
+    )
+  `);
+
+  // What the last incremental export wrote into a folder: JSON [{ key, filename, fingerprint }]
+  // tracks and [filename] generated files (kept here so the folder itself holds only the export)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS export_syncs (
+      path TEXT PRIMARY KEY,
+      tracks TEXT NOT NULL,
+      files TEXT NOT NULL,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Create indexes for performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_playlist_songs_playlist ON playlist_songs(playlist_id);
     CREATE INDEX IF NOT EXISTS idx_playlist_songs_position ON playlist_songs(playlist_id, position);
     CREATE INDEX IF NOT EXISTS idx_songs_youtube_id ON songs(youtube_id);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+    CREATE INDEX IF NOT EXISTS idx_jobs_song ON jobs(song_id);
+    CREATE INDEX IF NOT EXISTS idx_chapters_playlist ON chapters(playlist_id, position);
+    CREATE INDEX IF NOT EXISTS idx_upload_sessions_playlist ON upload_sessions(playlist_id);
+    CREATE INDEX IF NOT EXISTS idx_song_yoto_media_song ON song_yoto_media(song_id);
+    CREATE INDEX IF NOT EXISTS idx_upload_session_tracks_session ON upload_session_tracks(session_id, position);
+    CREATE INDEX IF NOT EXISTS idx_playlist_cards_card ON playlist_cards(card_id);
   `);
 
   // Migration: Add yoto_card_id column if it doesn't exist
-  const columns = db.prepare("PRAGMA table_info(playlists)").all();
-  if (!columns.find(c => c.name === 'yoto_card_id')) {
-    db.exec(`ALTER TABLE playlists ADD COLUMN yoto_card_id TEXT`);
+  addColumnIfMissing('playlists', 'yoto_card_id', 'TEXT');
+
+  // Migration: loudness normalization results on songs
+  addColumnIfMissing('songs', 'normalized_path', 'TEXT');
+  addColumnIfMissing('songs', 'loudness_lufs', 'REAL');
+  addColumnIfMissing('songs', 'loudness_true_peak', 'REAL');
+  addColumnIfMissing('songs', 'loudness_range', 'REAL');
+  addColumnIfMissing('songs', 'normalized_at', 'DATETIME');
+
+  // Migration: per-entry trim points (seconds into the song; null = no trim)
+  addColumnIfMissing('playlist_songs', 'start_seconds', 'REAL');
+  addColumnIfMissing('playlist_songs', 'end_seconds', 'REAL');
+  addColumnIfMissing('upload_session_tracks', 'start_seconds', 'REAL');
+  addColumnIfMissing('upload_session_tracks', 'end_seconds', 'REAL');
+
+  // Migration: playlist cover art. cover_path is the local square image, cover_url the
+  // Yoto-hosted copy referenced by the card (null until uploaded; stock covers have no file)
+  addColumnIfMissing('playlists', 'cover_path', 'TEXT');
+  addColumnIfMissing('playlists', 'cover_source', 'TEXT');
+  addColumnIfMissing('playlists', 'cover_url', 'TEXT');
+
+  // Migration: per-entry chapter icons
+  addColumnIfMissing('playlist_songs', 'icon_id', 'TEXT REFERENCES icons(id) ON DELETE SET NULL');
+  addColumnIfMissing('upload_session_tracks', 'icon_id', 'TEXT');
+
+  // Migration: entries grouped into chapters (null = a chapter of its own)
+  addColumnIfMissing('playlist_songs', 'chapter_id', 'TEXT REFERENCES chapters(id) ON DELETE SET NULL');
+  addColumnIfMissing('upload_session_tracks', 'chapter_id', 'TEXT');
+
+  // Migration: remote-only songs imported from a Yoto card (source = 'yoto') have no local
+  // file, just the card's transcoded audio key
+  addColumnIfMissing('songs', 'yoto_key', 'TEXT');
+
+  // Migration: fingerprint of the card content we last pushed (or imported), to spot edits
+  // made in the Yoto app since
+  addColumnIfMissing('playlists', 'yoto_content_hash', 'TEXT');
+  addColumnIfMissing('playlists', 'yoto_pushed_at', 'DATETIME');
+
+  // Migration: playlists mirrored to a YouTube playlist/channel/mix. youtube_source_ids is a
+  // JSON array of every video id seen in the source, so only new videos get appended;
+  // source_status flags entries that have since gone from the source ('removed', 'unavailable')
+  addColumnIfMissing('playlists', 'youtube_source_url', 'TEXT');
+  addColumnIfMissing('playlists', 'youtube_source_ids', 'TEXT');
+  addColumnIfMissing('playlists', 'youtube_resync_yoto', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('playlists', 'youtube_synced_at', 'DATETIME');
+  addColumnIfMissing('playlist_songs', 'source_status', 'TEXT');
+
+  // Migration: songs that are one chapter of a longer video. The part is cut from the parent
+  // (the full video's song row) between part_start and part_end seconds
+  addColumnIfMissing('songs', 'parent_song_id', 'TEXT REFERENCES songs(id) ON DELETE CASCADE');
+  addColumnIfMissing('songs', 'part_start', 'REAL');
+  addColumnIfMissing('songs', 'part_end', 'REAL');
+
+  // Migration: split playlists across several cards ('duration' or 'chapters'; null = one card)
+  addColumnIfMissing('playlists', 'card_split', 'TEXT');
+
+  // Migration: folder a playlist is exported to (e.g. a mounted MP3 player; null = exports/<name>)
+  addColumnIfMissing('playlists', 'export_target', 'TEXT');
+
+  // Migration: per-entry title override (null = the song's own title)
+  addColumnIfMissing('playlist_songs', 'display_title', 'TEXT');
+
+  // Migration: export layout ('numbered', 'tonuino' or 'flat') and TonUINO folder number
+  addColumnIfMissing('playlists', 'export_layout', 'TEXT');
+  addColumnIfMissing('playlists', 'export_folder', 'INTEGER');
+
+  // Migration: playlist file formats last exported with (comma-separated, '' = none)
+  addColumnIfMissing('playlists', 'export_formats', 'TEXT');
+
+  // Migration: card ids (and the fingerprint of what we last pushed) moved from playlists
+  // into playlist_cards, so split playlists can track one card per part
+  db.transaction(() => {
+    db.exec(`
+      INSERT OR IGNORE INTO playlist_cards (playlist_id, part_index, card_id, content_hash, pushed_at)
+        SELECT id, 0, yoto_card_id, yoto_content_hash, yoto_pushed_at FROM playlists WHERE yoto_card_id IS NOT NULL;
+      UPDATE playlists SET yoto_card_id = NULL, yoto_content_hash = NULL, yoto_pushed_at = NULL
+        WHERE yoto_card_id IS NOT NULL;
+    `);
+  })();
+
+  // Full-text index for local search: each song's title, artist and the names of the playlists
+  // it's in. The triggers below keep it in step with songs, playlist_songs and playlists.
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS songs_fts USING fts5(
+      song_id UNINDEXED,
+      title,
+      artist,
+      playlists,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  const songPlaylistNames = (songId) => `(
+    SELECT group_concat(DISTINCT p.name) FROM playlist_songs ps
+    JOIN playlists p ON p.id = ps.playlist_id
+    WHERE ps.song_id = ${songId}
+  )`;
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS songs_fts_insert AFTER INSERT ON songs BEGIN
+      INSERT INTO songs_fts (song_id, title, artist, playlists) VALUES (new.id, new.title, new.artist, '');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS songs_fts_update AFTER UPDATE OF title, artist ON songs BEGIN
+      UPDATE songs_fts SET title = new.title, artist = new.artist WHERE song_id = new.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS songs_fts_delete AFTER DELETE ON songs BEGIN
+      DELETE FROM songs_fts WHERE song_id = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS playlist_songs_fts_insert AFTER INSERT ON playlist_songs BEGIN
+      UPDATE songs_fts SET playlists = ${songPlaylistNames('new.song_id')} WHERE song_id = new.song_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS playlist_songs_fts_update AFTER UPDATE OF song_id, playlist_id ON playlist_songs BEGIN
+      UPDATE songs_fts SET playlists = ${songPlaylistNames('old.song_id')} WHERE song_id = old.song_id;
+      UPDATE songs_fts SET playlists = ${songPlaylistNames('new.song_id')} WHERE song_id = new.song_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS playlist_songs_fts_delete AFTER DELETE ON playlist_songs BEGIN
+      UPDATE songs_fts SET playlists = ${songPlaylistNames('old.song_id')} WHERE song_id = old.song_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS playlists_fts_rename AFTER UPDATE OF name ON playlists BEGIN
+      UPDATE songs_fts SET playlists = ${songPlaylistNames('songs_fts.song_id')}
+        WHERE song_id IN (SELECT song_id FROM playlist_songs WHERE playlist_id = new.id);
+    END;
+  `);
+
+  // Index songs added before the index existed
+  const { indexed } = db.prepare('SELECT COUNT(*) as indexed FROM songs_fts').get();
+  const { total } = db.prepare('SELECT COUNT(*) as total FROM songs').get();
+  if (indexed !== total) {
+    db.transaction(() => {
+      db.exec(`
+        DELETE FROM songs_fts;
+        INSERT INTO songs_fts (song_id, title, artist, playlists)
+          SELECT s.id, s.title, s.artist, COALESCE(${songPlaylistNames('s.id')}, '') FROM songs s;
+      `);
+    })();
   }
 
   console.log('📦 Database initialized');
 }
+
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.find(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
@@ -0,0 +1,157 @@
+import path from 'path';
+import fs from 'fs';
+import { db } from './db.js';
+
+// Incremental export into a folder that may live on a slow or wear-prone device (an MP3
+// player's SD card): only new or changed tracks are written, renumbered ones are renamed,
+// and files from earlier exports that are no longer wanted are removed. What we wrote is
+// recorded per folder in export_syncs, so files we didn't write are never touched and the
+// folder holds nothing but the export (some players choke on any extra file).
+
+// Sync dir to hold exactly the given tracks and files (paths relative to dir).
+// tracks: [{ key, filename, fingerprint, write(destPath), tagFingerprint, retag(filePath, destPath) }]
+// - key identifies the track across exports, fingerprint changes whenever its audio or tags
+// would; write() produces the file. Tags that change when tracks are reordered (the track
+// number) go in tagFingerprint instead: a kept track whose tagFingerprint changed is rewritten
+// from its current file by retag(), without re-reading the source.
+// files: [{ filename, content }] - small generated files, rewritten when their content changes.
+// Returns what changed: { added, updated, renamed: [{ from, to }], retagged, removed, unchanged }.
+export async function syncExportFolder(dir, tracks, files = []) {
+  dir = path.resolve(dir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifest = readManifest(dir);
+  const previous = new Map(manifest.tracks.map(t => [t.key, t]));
+  const changes = { added: [], updated: [], renamed: [], retagged: [], removed: [], unchanged: 0 };
+
+  // Decide per track: keep (maybe under a new name) or write
+  const kept = [];
+  const toWrite = [];
+  for (const track of tracks) {
+    const old = previous.get(track.key);
+    previous.delete(track.key);
+
+    if (old && old.fingerprint === track.fingerprint && fs.existsSync(path.join(dir, old.filename))) {
+      kept.push({ track, from: old.filename, retag: old.tagFingerprint !== track.tagFingerprint && !!track.retag });
+    } else {
+      toWrite.push(track);
+      if (old) {
+        changes.updated.push(track.filename);
+        if (old.filename !== track.filename) removeFile(dir, old.filename);
+      } else {
+        changes.added.push(track.filename);
+      }
+    }
+  }
+
+  // Tracks that left the playlist, and generated files that are no longer wanted
+  for (const old of previous.values()) {
+    removeFile(dir, old.filename);
+    changes.removed.push(old.filename);
+  }
+  for (const filename of manifest.files) {
+    if (!files.some(f => f.filename === filename)) {
+      removeFile(dir, filename);
+      changes.removed.push(filename);
+    }
+  }
+
+  // Renumber by renaming, through temporary names so swapped positions don't collide
+  const moves = kept.filter(({ track, from }) => track.filename !== from);
+  for (const move of moves) {
+    move.temp = `${move.from}.renaming`;
+    fs.renameSync(path.join(dir, move.from), path.join(dir, move.temp));
+  }
+  for (const { track, from, temp } of moves) {
+    const dest = path.join(dir, track.filename);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.renameSync(path.join(dir, temp), dest);
+    removeEmptyParents(dir, from);
+    changes.renamed.push({ from, to: track.filename });
+  }
+
+  // Renumbered tracks get their new track number (the audio is copied, not re-encoded)
+  const retagged = new Set();
+  for (const { track, retag } of kept) {
+    if (!retag) continue;
+    const dest = path.join(dir, track.filename);
+    const partPath = `${dest}.part`;
+    try {
+      await track.retag(dest, partPath);
+      fs.renameSync(partPath, dest);
+      retagged.add(track);
+      changes.retagged.push(track.filename);
+    } catch (error) {
+      fs.rmSync(partPath, { force: true });
+      // The file is still there under its new name; record it with its old tags so the next
+      // sync tries again
+      writeManifest(dir, tracks.filter(t => !toWrite.includes(t)).map(t => (
+        kept.some(k => k.track === t && k.retag && !retagged.has(t)) ? { ...t, tagFingerprint: null } : t
+      )), manifest.files);
+      throw error;
+    }
+  }
+  changes.unchanged = kept.filter(k => k.track.filename === k.from && !k.retag).length;
+
+  const written = new Set();
+  for (const track of toWrite) {
+    const dest = path.join(dir, track.filename);
+    const partPath = `${dest}.part`;
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    try {
+      await track.write(partPath);
+      fs.renameSync(partPath, dest);
+      written.add(track);
+    } catch (error) {
+      fs.rmSync(partPath, { force: true });
+      // Remember what did make it, so the next sync carries on from here
+      writeManifest(dir, tracks.filter(t => !toWrite.includes(t) || written.has(t)), manifest.files);
+      throw error;
+    }
+  }
+
+  for (const file of files) {
+    const dest = path.join(dir, file.filename);
+    const existing = fs.existsSync(dest) ? fs.readFileSync(dest, 'utf8') : null;
+    if (existing === file.content) continue;
+
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, file.content);
+    (existing === null ? changes.added : changes.updated).push(file.filename);
+  }
+
+  writeManifest(dir, tracks, files.map(f => f.filename));
+  return changes;
+}
+
+function readManifest(dir) {
+  const row = db.prepare('SELECT tracks, files FROM export_syncs WHERE path = ?').get(dir);
+  return row
+    ? { tracks: JSON.parse(row.tracks), files: JSON.parse(row.files) }
+    : { tracks: [], files: [] };
+}
+
+function writeManifest(dir, tracks, files) {
+  db.prepare(`
+    INSERT INTO export_syncs (path, tracks, files) VALUES (?, ?, ?)
+    ON CONFLICT(path) DO UPDATE SET tracks = excluded.tracks, files = excluded.files, synced_at = CURRENT_TIMESTAMP
+  `).run(
+    dir,
+    JSON.stringify(tracks.map(({ key, filename, fingerprint, tagFingerprint }) => ({ key, filename, fingerprint, tagFingerprint }))),
+    JSON.stringify(files)
+  );
+}
+
+function removeFile(dir, filename) {
+  fs.rmSync(path.join(dir, filename), { force: true });
+  removeEmptyParents(dir, filename);
+}
+
+// Clean up subfolders left empty by a move or removal (never dir itself)
+function removeEmptyParents(dir, filename) {
+  let parent = path.dirname(path.join(dir, filename));
+  while (parent.startsWith(dir + path.sep) && fs.existsSync(parent) && fs.readdirSync(parent).length === 0) {
+    fs.rmdirSync(parent);
+    parent = path.dirname(parent);
+  }
+}
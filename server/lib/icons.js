@@ -0,0 +1,69 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from './db.js';
+import { runFfmpeg } from './audio.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ICONS_DIR = path.join(__dirname, '../../data/icons');
+
+// Ensure icons directory exists
+if (!fs.existsSync(ICONS_DIR)) {
+  fs.mkdirSync(ICONS_DIR, { recursive: true });
+}
+
+// Reduce an image to a 16x16, 16-colour palette PNG (what Yoto players display per chapter)
+// and add it to the icon library. Identical results are stored only once.
+export async function createIcon(inputPath, name) {
+  const partPath = path.join(ICONS_DIR, `${uuidv4()}.png.part`);
+
+  try {
+    await runFfmpeg([
+      '-y',
+      '-i', inputPath,
+      '-frames:v', '1',
+      '-filter_complex', [
+        "crop='min(iw,ih)':'min(iw,ih)'",
+        'scale=16:16:flags=area',
+        'split[a][b]',
+        '[a]palettegen=max_colors=16:reserve_transparent=1[p]',
+        '[b][p]paletteuse=dither=none'
+      ].join(','),
+      '-f', 'image2',
+      '-c:v', 'png',
+      partPath
+    ]);
+  } catch (error) {
+    fs.rmSync(partPath, { force: true });
+    throw new Error(`Could not process image: ${error.message}`);
+  }
+
+  const sha256 = crypto.createHash('sha256').update(fs.readFileSync(partPath)).digest('hex');
+
+  const existing = db.prepare('SELECT * FROM icons WHERE sha256 = ?').get(sha256);
+  if (existing) {
+    fs.rmSync(partPath, { force: true });
+    return existing;
+  }
+
+  const id = uuidv4();
+  const filePath = path.join(ICONS_DIR, `${id}.png`);
+  fs.renameSync(partPath, filePath);
+
+  db.prepare(`
+    INSERT INTO icons (id, name, file_path, sha256) VALUES (?, ?, ?, ?)
+  `).run(id, name, filePath, sha256);
+
+  return db.prepare('SELECT * FROM icons WHERE id = ?').get(id);
+}
+
+export function deleteIcon(id) {
+  const icon = db.prepare('SELECT * FROM icons WHERE id = ?').get(id);
+  if (!icon) return false;
+
+  db.prepare('DELETE FROM icons WHERE id = ?').run(id);
+  fs.rmSync(icon.file_path, { force: true });
+  return true;
+}
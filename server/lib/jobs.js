@@ -0,0 +1,234 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from './db.js';
+
+export const ACTIVE_STATUSES = ['queued', 'running'];
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Emits 'update' with the job row whenever a job changes status,
+// and 'event' with { jobId, ...data } for progress messages from handlers
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Job handlers, keyed by job type (registered by the routes that own them)
+const handlers = new Map();
+
+// AbortControllers for jobs currently running in this process, keyed by job id
+const running = new Map();
+
+let started = false;
+let concurrency = 2;
+
+const JOB_SELECT = `
+  SELECT j.*, s.title AS song_title, s.youtube_id
+  FROM jobs j
+  LEFT JOIN songs s ON s.id = j.song_id
+`;
+
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Start processing the queue. Jobs left 'running' by a previous process are requeued.
+export function startJobQueue() {
+  concurrency = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+
+  const requeued = db.prepare(`
+    UPDATE jobs SET status = 'queued', started_at = NULL WHERE status = 'running'
+  `).run();
+  if (requeued.changes > 0) {
+    console.log(`🔁 Requeued ${requeued.changes} interrupted job(s)`);
+  }
+
+  started = true;
+  processQueue();
+}
+
+export function getJob(id) {
+  return parseJob(db.prepare(`${JOB_SELECT} WHERE j.id = ?`).get(id));
+}
+
+export function listJobs({ status, type, playlistId, songId, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+
+  if (status) {
+    const statuses = status.split(',');
+    where.push(`j.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (type) {
+    where.push('j.type = ?');
+    params.push(type);
+  }
+  if (playlistId) {
+    where.push('j.playlist_id = ?');
+    params.push(playlistId);
+  }
+  if (songId) {
+    where.push('j.song_id = ?');
+    params.push(songId);
+  }
+
+  const rows = db.prepare(`
+    ${JOB_SELECT}
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY j.rowid DESC
+    LIMIT ?
+  `).all(...params, limit);
+
+  return rows.map(parseJob);
+}
+
+// Find a queued or running job of this type for a song, so callers don't enqueue duplicates
+export function findActiveJob(type, songId) {
+  return parseJob(db.prepare(`
+    ${JOB_SELECT}
+    WHERE j.type = ? AND j.song_id = ? AND j.status IN ('queued', 'running')
+    ORDER BY j.rowid
+    LIMIT 1
+  `).get(type, songId));
+}
+
+export function enqueueJob(type, { songId = null, playlistId = null, payload = null } = {}) {
+  const id = uuidv4();
+
+  db.prepare(`
+    INSERT INTO jobs (id, type, song_id, playlist_id, payload)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, type, songId, playlistId, payload ? JSON.stringify(payload) : null);
+
+  const job = getJob(id);
+  jobEvents.emit('update', job);
+
+  // Deferred so callers can subscribe to jobEvents before the job starts
+  setImmediate(processQueue);
+  return job;
+}
+
+// Cancel a queued or running job. Returns the updated job, or null if it was not active.
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) {
+    return null;
+  }
+
+  finishJob(id, 'cancelled', { error: 'Cancelled' });
+  running.get(id)?.abort();
+  return getJob(id);
+}
+
+// Put a failed or cancelled job back on the queue. Returns the updated job, or null.
+export function retryJob(id) {
+  const job = getJob(id);
+  if (!job || !['failed', 'cancelled'].includes(job.status)) {
+    return null;
+  }
+
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'queued', error = NULL, result = NULL, started_at = NULL, finished_at = NULL
+    WHERE id = ?
+  `).run(id);
+
+  const updated = getJob(id);
+  jobEvents.emit('update', updated);
+  setImmediate(processQueue);
+  return updated;
+}
+
+// Resolve with the job once it reaches a finished status
+export function waitForJob(id) {
+  return new Promise((resolve) => {
+    const current = getJob(id);
+    if (!current || FINISHED_STATUSES.includes(current.status)) {
+      resolve(current);
+      return;
+    }
+
+    const onUpdate = (job) => {
+      if (job.id === id && FINISHED_STATUSES.includes(job.status)) {
+        jobEvents.off('update', onUpdate);
+        resolve(job);
+      }
+    };
+    jobEvents.on('update', onUpdate);
+  });
+}
+
+function processQueue() {
+  if (!started) return;
+
+  const nextStmt = db.prepare(`
+    ${JOB_SELECT}
+    WHERE j.status = 'queued'
+    ORDER BY j.rowid
+    LIMIT 1
+  `);
+
+  while (running.size < concurrency) {
+    const next = parseJob(nextStmt.get());
+    if (!next) break;
+    runJob(next);
+  }
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+    WHERE id = ?
+  `).run(job.id);
+  jobEvents.emit('update', getJob(job.id));
+
+  const emit = (data) => jobEvents.emit('event', { jobId: job.id, ...data });
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type '${job.type}'`);
+    }
+
+    const result = await handler(job, { signal: controller.signal, emit });
+    if (!controller.signal.aborted) {
+      finishJob(job.id, 'completed', { result });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+      finishJob(job.id, 'failed', { error: error.message });
+    }
+  } finally {
+    // A retry may already be running under a new controller; leave that one alone
+    if (running.get(job.id) === controller) {
+      running.delete(job.id);
+    }
+    processQueue();
+  }
+}
+
+function finishJob(id, status, { result = null, error = null } = {}) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, result ? JSON.stringify(result) : null, error, id);
+
+  const job = getJob(id);
+  if (job) {
+    jobEvents.emit('update', job);
+  }
+}
+
+function parseJob(row) {
+  if (!row) return null;
+
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    result: row.result ? JSON.parse(row.result) : null
+  };
+}
@@ -0,0 +1,69 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { db } from './db.js';
+import { normalizeLoudness } from './audio.js';
+import { registerJobHandler, enqueueJob, findActiveJob } from './jobs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const NORMALIZED_DIR = path.join(__dirname, '../../downloads/normalized');
+
+// Ensure normalized audio directory exists
+if (!fs.existsSync(NORMALIZED_DIR)) {
+  fs.mkdirSync(NORMALIZED_DIR, { recursive: true });
+}
+
+// Loudness targets from the environment (read lazily, after dotenv has loaded)
+export function getLoudnessSettings() {
+  const targetLufs = parseFloat(process.env.LOUDNORM_TARGET_LUFS);
+  const truePeak = parseFloat(process.env.LOUDNORM_TRUE_PEAK);
+
+  return {
+    enabled: process.env.LOUDNORM_ENABLED !== 'false',
+    targetLufs: Number.isFinite(targetLufs) ? targetLufs : -16,
+    truePeak: Number.isFinite(truePeak) ? truePeak : -1.5
+  };
+}
+
+// The file to export/upload for a song: the normalized copy if there is one, else the original
+export function getSongAudioPath(song) {
+  if (song.normalized_path && fs.existsSync(song.normalized_path)) {
+    return song.normalized_path;
+  }
+  return song.file_path;
+}
+
+// Queue loudness normalization for a song unless it's already normalized (or queued)
+export function queueNormalize(song, playlistId = null) {
+  if (!getLoudnessSettings().enabled) return null;
+  if (song.normalized_path && fs.existsSync(song.normalized_path)) return null;
+
+  return findActiveJob('normalize', song.id) || enqueueJob('normalize', { songId: song.id, playlistId });
+}
+
+// Background job: write a normalized copy of the song next to the original and record its loudness
+registerJobHandler('normalize', async (job, { signal }) => {
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(job.song_id);
+  if (!song?.file_path || !fs.existsSync(song.file_path)) {
+    throw new Error('Song is not downloaded');
+  }
+
+  const outputPath = path.join(NORMALIZED_DIR, `${song.id}.mp3`);
+  const partPath = `${outputPath}.part`;
+
+  try {
+    const loudness = await normalizeLoudness(song.file_path, partPath, getLoudnessSettings(), { signal });
+    fs.renameSync(partPath, outputPath);
+
+    db.prepare(`
+      UPDATE songs
+      SET normalized_path = ?, loudness_lufs = ?, loudness_true_peak = ?, loudness_range = ?,
+          normalized_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(outputPath, loudness.lufs, loudness.truePeak, loudness.lra, song.id);
+
+    return loudness;
+  } finally {
+    fs.rmSync(partPath, { force: true });
+  }
+});
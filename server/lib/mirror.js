@@ -0,0 +1,159 @@
+import fs from 'fs';
+import { db } from './db.js';
+import { listYouTubePlaylist } from './youtube.js';
+import { appendYouTubeItems } from './songs.js';
+import { enqueueJob, findActiveJob, waitForJob } from './jobs.js';
+import { getPlaylistCards } from './cards.js';
+
+// Playlists can be linked to a YouTube playlist/channel/mix and refreshed from it:
+// new videos are appended, and entries that left the source are flagged (never removed,
+// since their audio may already be downloaded or on a card).
+
+const SOURCE_LIMIT = 1000;
+
+// Refreshes in progress, keyed by playlist id, so overlapping requests share one run
+const refreshing = new Map();
+
+let schedulerTimer = null;
+
+// Link a playlist to its source. seenIds defaults to everything in the source right now.
+export async function linkPlaylistSource(playlistId, url, { resyncYoto = false, seenIds } = {}) {
+  if (!seenIds) {
+    const list = await listYouTubePlaylist(url, { limit: SOURCE_LIMIT });
+    seenIds = [...list.items.map(item => item.youtube_id), ...list.unavailable];
+  }
+
+  db.prepare(`
+    UPDATE playlists
+    SET youtube_source_url = ?, youtube_source_ids = ?, youtube_resync_yoto = ?,
+        youtube_synced_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(url, JSON.stringify([...new Set(seenIds)]), resyncYoto ? 1 : 0, playlistId);
+}
+
+export function unlinkPlaylistSource(playlistId) {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE playlists
+      SET youtube_source_url = NULL, youtube_source_ids = NULL, youtube_resync_yoto = 0,
+          youtube_synced_at = NULL
+      WHERE id = ?
+    `).run(playlistId);
+    db.prepare('UPDATE playlist_songs SET source_status = NULL WHERE playlist_id = ?').run(playlistId);
+  })();
+}
+
+export function refreshPlaylistSource(playlistId, { resyncYoto = false } = {}) {
+  if (!refreshing.has(playlistId)) {
+    refreshing.set(playlistId, runRefresh(playlistId, resyncYoto).finally(() => refreshing.delete(playlistId)));
+  }
+  return refreshing.get(playlistId);
+}
+
+// Refresh every linked playlist every YOUTUBE_MIRROR_INTERVAL_MINUTES (off when unset or 0)
+export function startMirrorScheduler() {
+  const minutes = parseFloat(process.env.YOUTUBE_MIRROR_INTERVAL_MINUTES) || 0;
+  if (minutes <= 0 || schedulerTimer) return;
+
+  schedulerTimer = setInterval(refreshAllSources, minutes * 60 * 1000);
+  console.log(`🔄 Refreshing mirrored YouTube playlists every ${minutes} minute(s)`);
+}
+
+async function refreshAllSources() {
+  const playlists = db.prepare(`
+    SELECT id, name, youtube_resync_yoto FROM playlists WHERE youtube_source_url IS NOT NULL
+  `).all();
+
+  // One at a time, to keep yt-dlp from hammering YouTube
+  for (const playlist of playlists) {
+    try {
+      const result = await refreshPlaylistSource(playlist.id, { resyncYoto: !!playlist.youtube_resync_yoto });
+      if (result.added.length > 0 || result.flagged.length > 0) {
+        console.log(`🔄 ${playlist.name}: ${result.added.length} added, ${result.flagged.length} flagged`);
+      }
+    } catch (error) {
+      console.error(`Failed to refresh ${playlist.name} from YouTube:`, error.message);
+    }
+  }
+}
+
+async function runRefresh(playlistId, resyncYoto) {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
+  if (!playlist?.youtube_source_url) {
+    throw new Error('Playlist is not linked to a YouTube source');
+  }
+
+  const list = await listYouTubePlaylist(playlist.youtube_source_url, { limit: SOURCE_LIMIT });
+  const seen = new Set(JSON.parse(playlist.youtube_source_ids || '[]'));
+  const available = new Set(list.items.map(item => item.youtube_id));
+  const unavailable = new Set(list.unavailable);
+
+  const result = db.transaction(() => {
+    // Deselected or deleted-locally videos were seen before, so they don't come back
+    const { added } = appendYouTubeItems(playlistId, list.items.filter(item => !seen.has(item.youtube_id)));
+
+    // Entries that came from the source get flagged when they leave it (and unflagged if they return)
+    const entries = db.prepare(`
+      SELECT ps.id, ps.source_status, s.youtube_id, s.title
+      FROM playlist_songs ps
+      JOIN songs s ON s.id = ps.song_id
+      WHERE ps.playlist_id = ?
+    `).all(playlistId).filter(entry => seen.has(entry.youtube_id));
+
+    const setStatus = db.prepare('UPDATE playlist_songs SET source_status = ? WHERE id = ?');
+    const flagged = [];
+    const restored = [];
+    for (const entry of entries) {
+      const status = available.has(entry.youtube_id) ? null
+        : unavailable.has(entry.youtube_id) ? 'unavailable'
+          : 'removed';
+      if (status === entry.source_status) continue;
+
+      setStatus.run(status, entry.id);
+      (status ? flagged : restored).push({ youtube_id: entry.youtube_id, title: entry.title, status });
+    }
+
+    db.prepare(`
+      UPDATE playlists SET youtube_source_ids = ?, youtube_synced_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(JSON.stringify([...new Set([...seen, ...available, ...unavailable])]), playlistId);
+
+    return { added, flagged, restored };
+  })();
+
+  const changed = result.added.length > 0 || result.flagged.length > 0 || result.restored.length > 0;
+  const resync = resyncYoto && changed && getPlaylistCards(playlistId).length > 0;
+  if (resync) {
+    resyncYotoCard(playlistId).catch(error => {
+      console.error(`Yoto re-sync after refresh failed for ${playlist.name}:`, error.message);
+    });
+  }
+
+  return {
+    added: result.added.map(song => ({ id: song.id, youtube_id: song.youtube_id, title: song.title })),
+    flagged: result.flagged,
+    restored: result.restored,
+    resync
+  };
+}
+
+// Download anything new, then have the Yoto routes push the playlist to its card
+// (the 'yoto-sync' job refuses cards that were edited in the Yoto app)
+async function resyncYotoCard(playlistId) {
+  const missing = db.prepare(`
+    SELECT s.*
+    FROM songs s
+    JOIN playlist_songs ps ON s.id = ps.song_id
+    WHERE ps.playlist_id = ?
+  `).all(playlistId).filter(song => song.source === 'youtube' && (!song.file_path || !fs.existsSync(song.file_path)));
+
+  const downloads = await Promise.all(missing.map(song => waitForJob(
+    (findActiveJob('download', song.id) || enqueueJob('download', { songId: song.id, playlistId })).id
+  )));
+
+  const failed = downloads.filter(job => job.status !== 'completed');
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} download(s) failed, card not updated`);
+  }
+
+  return enqueueJob('yoto-sync', { playlistId });
+}
@@ -0,0 +1,89 @@
+// Playlist files written next to exported tracks, for players that need one (car stereos,
+// Jellyfin, VLC). Tracks are { filename, title, artist, duration } with filename relative to
+// the playlist file and duration in seconds.
+
+export const PLAYLIST_FORMATS = ['m3u8', 'pls', 'xspf'];
+
+// Parse a comma-separated list of formats ('none' or '' for no playlist files; all when unset).
+// Returns { formats } or { error }.
+export function parsePlaylistFormats(value) {
+  if (value === undefined) return { formats: PLAYLIST_FORMATS };
+
+  const formats = [...new Set(String(value).split(',').map(f => f.trim().toLowerCase()).filter(Boolean))]
+    .filter(f => f !== 'none');
+  const unknown = formats.filter(f => !PLAYLIST_FORMATS.includes(f));
+  if (unknown.length > 0) {
+    return { error: `Unknown playlist format(s): ${unknown.join(', ')}. Use ${PLAYLIST_FORMATS.join(', ')} or none` };
+  }
+
+  return { formats };
+}
+
+export function buildPlaylistFile(format, title, tracks) {
+  switch (format) {
+    case 'm3u8': return buildM3u8(title, tracks);
+    case 'pls': return buildPls(tracks);
+    case 'xspf': return buildXspf(title, tracks);
+    default: throw new Error(`Unknown playlist format: ${format}`);
+  }
+}
+
+function buildM3u8(title, tracks) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${oneLine(title)}`];
+  for (const track of tracks) {
+    lines.push(`#EXTINF:${track.duration || -1},${oneLine(displayName(track))}`);
+    lines.push(track.filename);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function buildPls(tracks) {
+  const lines = ['[playlist]'];
+  tracks.forEach((track, i) => {
+    lines.push(`File${i + 1}=${track.filename}`);
+    lines.push(`Title${i + 1}=${oneLine(displayName(track))}`);
+    lines.push(`Length${i + 1}=${track.duration || -1}`);
+  });
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return lines.join('\n') + '\n';
+}
+
+function buildXspf(title, tracks) {
+  const trackXml = tracks.map(track => [
+    '    <track>',
+    // Locations are URIs, so the relative path is percent-encoded
+    `      <location>${escapeXml(encodeURIComponent(track.filename))}</location>`,
+    `      <title>${escapeXml(track.title)}</title>`,
+    track.artist ? `      <creator>${escapeXml(track.artist)}</creator>` : null,
+    track.duration ? `      <duration>${Math.round(track.duration * 1000)}</duration>` : null,
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <trackList>',
+    ...trackXml,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+function displayName(track) {
+  return track.artist ? `${track.artist} - ${track.title}` : track.title;
+}
+
+// Line-based formats can't hold newlines in a title
+function oneLine(text) {
+  return String(text || '').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
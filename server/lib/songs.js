@@ -0,0 +1,138 @@
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from './db.js';
+import { cleanIncomingSongInfo } from './titles.js';
+
+// The title a playlist entry (song row joined with playlist_songs.display_title) goes by
+// on cards and in exports
+export function getEntryTitle(entry) {
+  return entry.display_title || entry.title;
+}
+
+// Songs are cached by YouTube id, so adding one that's in another playlist reuses its download.
+// New songs get their title cleaned up (see lib/titles.js).
+export function getOrCreateYouTubeSong({ youtube_id, title, artist, duration, thumbnail }) {
+  const song = db.prepare('SELECT * FROM songs WHERE youtube_id = ?').get(youtube_id);
+  if (song) return song;
+
+  ({ title, artist } = cleanIncomingSongInfo({ title, artist }));
+  const songId = uuidv4();
+  db.prepare(`
+    INSERT INTO songs (id, youtube_id, title, artist, duration, thumbnail)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(songId, youtube_id, title, artist || '', duration || 0, thumbnail || '');
+  return db.prepare('SELECT * FROM songs WHERE id = ?').get(songId);
+}
+
+// One song per chapter of a video ({ title, start, end }), in chapter order. Parts are
+// reused if the video was split before, so they're only downloaded and cut once.
+export const getOrCreateChapterParts = db.transaction((parent, chapters) => {
+  const findPart = db.prepare('SELECT * FROM songs WHERE parent_song_id = ? AND part_start = ? AND part_end = ?');
+  const insert = db.prepare(`
+    INSERT INTO songs (id, title, artist, duration, thumbnail, parent_song_id, part_start, part_end)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return chapters.map((chapter, index) => {
+    const existing = findPart.get(parent.id, chapter.start, chapter.end);
+    if (existing) return existing;
+
+    const songId = uuidv4();
+    const { title, artist } = chapter.title
+      ? cleanIncomingSongInfo({ title: chapter.title, artist: parent.artist }, { split: false })
+      : { title: `${parent.title} (part ${index + 1})`, artist: parent.artist };
+    insert.run(
+      songId,
+      title,
+      artist || '',
+      Math.round(chapter.end - chapter.start),
+      parent.thumbnail || '',
+      parent.id,
+      chapter.start,
+      chapter.end
+    );
+    return db.prepare('SELECT * FROM songs WHERE id = ?').get(songId);
+  });
+});
+
+// Append songs to the end of a playlist in the order given, skipping ones already in it
+export const appendSongs = db.transaction((playlistId, songs) => {
+  const inPlaylist = db.prepare('SELECT id FROM playlist_songs WHERE playlist_id = ? AND song_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO playlist_songs (id, playlist_id, song_id, position) VALUES (?, ?, ?, ?)
+  `);
+  let position = db.prepare(`
+    SELECT COALESCE(MAX(position), -1) as max_pos FROM playlist_songs WHERE playlist_id = ?
+  `).get(playlistId).max_pos + 1;
+
+  const added = [];
+  const skipped = [];
+  for (const song of songs) {
+    if (inPlaylist.get(playlistId, song.id)) {
+      skipped.push(song);
+      continue;
+    }
+    const playlistSongId = uuidv4();
+    insert.run(playlistSongId, playlistId, song.id, position);
+    added.push({ ...song, position: position++, playlist_song_id: playlistSongId });
+  }
+
+  if (added.length > 0) {
+    db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+  }
+  return { added, skipped };
+});
+
+// Append YouTube items ({ youtube_id, title, artist, duration, thumbnail }) to the end of a
+// playlist in the order given, skipping ones already in it
+export const appendYouTubeItems = db.transaction((playlistId, items) => {
+  const { added, skipped } = appendSongs(playlistId, items.map(getOrCreateYouTubeSong));
+
+  return {
+    added,
+    skipped: skipped.map(song => ({ youtube_id: song.youtube_id, title: song.title, reason: 'Already in playlist' }))
+  };
+});
+
+// Search the library (titles, artists and the names of playlists songs are in) through the
+// songs_fts index. Every word must match, the last one as a prefix so results come in while
+// typing. Best matches first; results look like YouTube search results plus song_id.
+export function searchLibrary(query, { offset = 0, limit = 20 } = {}) {
+  const words = String(query).match(/[\p{L}\p{N}]+/gu);
+  if (!words) return [];
+
+  const match = words
+    .map((word, i) => `"${word}"${i === words.length - 1 ? '*' : ''}`)
+    .join(' ');
+
+  return db.prepare(`
+    SELECT s.* FROM songs_fts f
+    JOIN songs s ON s.id = f.song_id
+    WHERE songs_fts MATCH ?
+    ORDER BY bm25(songs_fts, 0, 10, 5, 1)
+    LIMIT ? OFFSET ?
+  `).all(match, limit, offset).map(song => ({
+    song_id: song.id,
+    youtube_id: song.youtube_id,
+    title: song.title,
+    artist: song.artist || '',
+    duration: song.duration || 0,
+    thumbnail: song.thumbnail || '',
+    url: song.youtube_id ? `https://www.youtube.com/watch?v=${song.youtube_id}` : null,
+    local: true,
+    downloaded: isDownloaded(song)
+  }));
+}
+
+// Flag YouTube search results whose video is already in the library (and downloaded)
+export function markLibrarySongs(results) {
+  const find = db.prepare('SELECT * FROM songs WHERE youtube_id = ?');
+  return results.map(result => {
+    const song = find.get(result.youtube_id);
+    return { ...result, song_id: song?.id || null, local: false, downloaded: !!song && isDownloaded(song) };
+  });
+}
+
+function isDownloaded(song) {
+  return !!song.file_path && fs.existsSync(song.file_path);
+}
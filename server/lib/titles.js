@@ -0,0 +1,149 @@
+import { db } from './db.js';
+
+// Cleanup of YouTube titles when songs are added: noise like "(Official Video)", "HD" and emoji
+// is stripped, "Artist - Title" is split into the two fields, and channel suffixes come off
+// the artist. The rules are regex sets kept in the settings table so they can be tuned.
+
+const SETTINGS_KEY = 'title_cleanup_rules';
+
+// Patterns are case-insensitive and Unicode-aware. In strip patterns, {artist} stands for the
+// song's artist (usually the uploading channel, or just the part of its name before a " - ")
+// so it can be removed from the title.
+export const DEFAULT_TITLE_RULES = {
+  enabled: true,
+  // Removed from titles, in order
+  strip: [
+    // Bracketed notes such as (Official Music Video), [Lyrics], (HD), (Remastered 2011)
+    '\\s*[(\\[][^)\\]]*\\b(?:official|lyrics?|video|audio|visuali[sz]er|hd|hq|4k|remaster(?:ed)?)\\b[^)\\]]*[)\\]]',
+    '\\s*\\b(?:HD|HQ|4K)\\b',
+    '[\\p{Extended_Pictographic}\\u{FE0F}\\u{200D}]',
+    '(?:\\s+#[\\p{L}\\p{N}_]+)+\\s*$',
+    // Everything after the first " | " ("Baby Shark Dance | Sing and Dance! | PINKFONG")
+    '\\s+[|｜]\\s+.*$',
+    // The channel's name tacked on the end ("Song Title - Channel", "Song - Channel Kids Songs")
+    '\\s*[|｜\\-–—:]\\s*{artist}(?:\\s.*)?$'
+  ],
+  // Removed from artist names (channel suffixes)
+  artistStrip: [
+    '\\s*-\\s*Topic$',
+    'VEVO$',
+    '\\s+Official(?:\\s+Channel)?$'
+  ],
+  // Splits the title into artist and title (two capture groups); null to never split
+  split: '^(.+?)\\s+[-–—]\\s+(.+)$'
+};
+
+// Separators and whitespace left dangling at either end once something was stripped
+const DANGLING = /^[\s|｜\-–—:,]+|[\s|｜\-–—:,]+$/gu;
+
+export function getTitleRules() {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(SETTINGS_KEY);
+  if (!row) return DEFAULT_TITLE_RULES;
+
+  try {
+    return { ...DEFAULT_TITLE_RULES, ...JSON.parse(row.value) };
+  } catch {
+    return DEFAULT_TITLE_RULES;
+  }
+}
+
+// Save rules (missing fields fall back to the defaults; null resets everything).
+// Throws if a pattern isn't a valid regex.
+export function saveTitleRules(rules) {
+  if (rules === null) {
+    db.prepare('DELETE FROM settings WHERE key = ?').run(SETTINGS_KEY);
+    return DEFAULT_TITLE_RULES;
+  }
+
+  const merged = { ...DEFAULT_TITLE_RULES, ...rules };
+  if (typeof merged.enabled !== 'boolean') {
+    throw new Error('enabled must be true or false');
+  }
+  for (const field of ['strip', 'artistStrip']) {
+    if (!Array.isArray(merged[field]) || merged[field].some(p => typeof p !== 'string')) {
+      throw new Error(`${field} must be a list of regex strings`);
+    }
+    merged[field].forEach(pattern => compile(pattern.replace(/\{artist\}/g, 'x'), 'giu'));
+  }
+  if (merged.split !== null) {
+    if (typeof merged.split !== 'string') {
+      throw new Error('split must be a regex string or null');
+    }
+    compile(merged.split, 'iu');
+  }
+
+  const value = {
+    enabled: merged.enabled,
+    strip: merged.strip,
+    artistStrip: merged.artistStrip,
+    split: merged.split
+  };
+  db.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(SETTINGS_KEY, JSON.stringify(value));
+  return value;
+}
+
+// Apply the rules to { title, artist }. Returns the cleaned pair; a title that would end up
+// empty is left as it was. split: false only strips noise, for titles that aren't
+// "Artist - Title" (chapter names like "01 - Intro", Yoto track titles).
+export function cleanSongInfo({ title, artist }, rules = getTitleRules(), { split: splitTitle = true } = {}) {
+  title = title || '';
+  artist = artist || '';
+
+  let cleanTitle = title;
+  for (const pattern of rules.strip) {
+    if (pattern.includes('{artist}') && !artist.trim()) continue;
+    const source = pattern.replace(/\{artist\}/g, artistPattern(artist));
+    cleanTitle = tidy(cleanTitle.replace(compile(source, 'giu'), ''));
+  }
+
+  let cleanArtist = artist;
+  const split = splitTitle && rules.split && cleanTitle.match(compile(rules.split, 'iu'));
+  // "Song - Channel variant" names the channel, not the artist, on the right
+  const channelOnRight = split?.[2] && artist.trim() &&
+    compile(`^${artistPattern(artist)}`, 'iu').test(split[2]);
+  if (split?.[1] && split?.[2] && !channelOnRight) {
+    cleanArtist = split[1];
+    cleanTitle = split[2];
+  }
+
+  for (const pattern of rules.artistStrip) {
+    cleanArtist = cleanArtist.replace(compile(pattern, 'giu'), '');
+  }
+
+  return {
+    title: tidy(cleanTitle) || title,
+    artist: tidy(cleanArtist)
+  };
+}
+
+// Clean { title, artist } on the way into the library, if cleanup is enabled (options as for
+// cleanSongInfo)
+export function cleanIncomingSongInfo(info, options) {
+  const rules = getTitleRules();
+  return rules.enabled ? { ...info, ...cleanSongInfo(info, rules, options) } : info;
+}
+
+// "Cocomelon - Nursery Rhymes" also matches plain "Cocomelon"
+function artistPattern(artist) {
+  const names = [artist.trim(), artist.split(/\s+[-–—|]\s+/)[0].trim()];
+  return `(?:${[...new Set(names)].map(escapeRegex).join('|')})`;
+}
+
+function tidy(text) {
+  return text.replace(/\s+/g, ' ').replace(DANGLING, '');
+}
+
+function compile(pattern, flags) {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid pattern ${pattern}: ${error.message}`);
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,91 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { trimAudio } from './audio.js';
+import { getSongAudioPath } from './loudness.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TRIMMED_DIR = path.join(__dirname, '../../downloads/trimmed');
+
+// Ensure trimmed audio directory exists
+if (!fs.existsSync(TRIMMED_DIR)) {
+  fs.mkdirSync(TRIMMED_DIR, { recursive: true });
+}
+
+// Playlist entries are song rows joined with playlist_songs.start_seconds / end_seconds
+export function isTrimmed(entry) {
+  return entry.start_seconds != null || entry.end_seconds != null;
+}
+
+// Length of the entry once trimmed, in whole seconds (an end past the song's end counts as the end)
+export function getEntryDuration(entry) {
+  if (!isTrimmed(entry)) return entry.duration;
+
+  const end = entry.duration > 0
+    ? Math.min(entry.end_seconds ?? entry.duration, entry.duration)
+    : entry.end_seconds;
+  if (!end) return entry.duration;
+
+  return Math.max(0, Math.round(end - (entry.start_seconds || 0)));
+}
+
+// Where prepareEntryAudio puts the file for a playlist entry (it may not exist yet)
+export function getEntryAudioPath(entry) {
+  const source = getSongAudioPath(entry);
+  if (!isTrimmed(entry)) return source;
+
+  // Key the cut on the source file too, so re-downloads or normalization produce a fresh cut
+  const stats = fs.statSync(source);
+  const hash = crypto.createHash('sha1')
+    .update(`${source}|${stats.size}|${stats.mtimeMs}|${entry.start_seconds || 0}|${entry.end_seconds ?? null}`)
+    .digest('hex')
+    .substring(0, 12);
+  return path.join(TRIMMED_DIR, `${entry.id}-${hash}.mp3`);
+}
+
+// The file to export/upload for a playlist entry. Trimmed entries get a cut copy
+// (cached under downloads/trimmed); the downloaded file itself is never modified.
+export async function prepareEntryAudio(entry, { signal } = {}) {
+  const source = getSongAudioPath(entry);
+  const outputPath = getEntryAudioPath(entry);
+  if (outputPath === source || fs.existsSync(outputPath)) {
+    return outputPath;
+  }
+
+  const start = entry.start_seconds || 0;
+  const end = entry.end_seconds ?? null;
+
+  const partPath = `${outputPath}.part`;
+  try {
+    await trimAudio(source, partPath, { start, end }, { signal });
+    fs.renameSync(partPath, outputPath);
+  } finally {
+    fs.rmSync(partPath, { force: true });
+  }
+
+  return outputPath;
+}
+
+// Delete the cached cut for an entry's old trim points (after they changed)
+export function removeTrimmedCopy(entry) {
+  if (!isTrimmed(entry)) return;
+
+  let cutPath;
+  try {
+    cutPath = getEntryAudioPath(entry);
+  } catch {
+    // Not downloaded, so nothing was ever cut
+    return;
+  }
+  fs.rmSync(cutPath, { force: true });
+}
+
+// Delete the cached cuts of a song (when the song itself is deleted)
+export function removeTrimmedCopies(songId) {
+  for (const file of fs.readdirSync(TRIMMED_DIR)) {
+    if (file.startsWith(`${songId}-`)) {
+      fs.rmSync(path.join(TRIMMED_DIR, file), { force: true });
+    }
+  }
+}
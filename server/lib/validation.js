@@ -0,0 +1,227 @@
+import fs from 'fs';
+import { db } from './db.js';
+import { getEntryAudioPath, getEntryDuration } from './trim.js';
+
+// Warn once a playlist uses this much of a limit
+const NEAR_LIMIT_RATIO = 0.9;
+
+const MB = 1024 * 1024;
+
+// Ways a playlist can be split across several cards
+export const CARD_SPLIT_MODES = ['duration', 'chapters'];
+
+// MYO card limits from the environment (read lazily, after dotenv has loaded)
+export function getCardLimits() {
+  const read = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    maxChapters: read('YOTO_MAX_CHAPTERS', 100),
+    maxTrackBytes: read('YOTO_MAX_TRACK_SIZE_MB', 100) * MB,
+    maxDurationSeconds: read('YOTO_MAX_DURATION_HOURS', 5) * 3600,
+    maxCardBytes: read('YOTO_MAX_CARD_SIZE_MB', 500) * MB
+  };
+}
+
+// Check a playlist against the card limits. Errors mean the upload would be rejected;
+// warnings are close calls or things that couldn't be checked.
+// Each issue is { code, message, ...details }. A playlist split across cards (split, or the
+// playlist's card_split) is checked part by part, and its issues carry the part index.
+export function validatePlaylist(playlistId, { split, limits = getCardLimits() } = {}) {
+  const playlist = db.prepare('SELECT card_split FROM playlists WHERE id = ?').get(playlistId);
+  const mode = split === undefined ? playlist?.card_split : split;
+
+  const entries = db.prepare(`
+    SELECT s.*, ps.start_seconds, ps.end_seconds, ps.chapter_id
+    FROM songs s
+    JOIN playlist_songs ps ON s.id = ps.song_id
+    WHERE ps.playlist_id = ?
+    ORDER BY ps.position
+  `).all(playlistId);
+
+  if (!mode) {
+    const { errors, warnings, totals } = validateEntries(entries, limits);
+    return { valid: errors.length === 0, errors, warnings, totals, limits };
+  }
+
+  let parts;
+  try {
+    parts = partitionEntries(entries, mode, limits);
+  } catch (error) {
+    const { warnings, totals } = validateEntries(entries, limits);
+    return {
+      valid: false,
+      errors: [{ code: 'cannot_split', message: error.message }],
+      warnings,
+      totals,
+      limits
+    };
+  }
+
+  const results = parts.map(part => validateEntries(part, limits));
+  const errors = results.flatMap((r, part) => r.errors.map(issue => ({ ...issue, part })));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: results.flatMap((r, part) => r.warnings.map(issue => ({ ...issue, part }))),
+    totals: validateEntries(entries, limits).totals,
+    parts: results.map(r => r.totals),
+    split: mode,
+    limits
+  };
+}
+
+// Split playlist entries into consecutive parts that each fit on a card, never inside a
+// chapter. Uses the fewest cards possible, balancing them by duration or chapter count.
+// Throws if one chapter is too big for a card by itself.
+export function partitionEntries(entries, by, limits = getCardLimits()) {
+  if (!by || entries.length === 0) return [entries];
+
+  const groups = getCardChapterGroups(entries).map(group => ({
+    entries: group,
+    duration: group.reduce((sum, entry) => sum + (getEntryDuration(entry) || 0), 0),
+    size: group.reduce((sum, entry) => sum + (entry.source === 'yoto' ? 0 : getEntrySize(entry) || 0), 0)
+  }));
+
+  const fits = (part) => part.length <= limits.maxChapters
+    && part.reduce((sum, g) => sum + g.duration, 0) <= limits.maxDurationSeconds
+    && part.reduce((sum, g) => sum + g.size, 0) <= limits.maxCardBytes;
+
+  const oversized = groups.find(g => !fits([g]));
+  if (oversized) {
+    throw new Error(`"${oversized.entries[0].title}" is too big for one card by itself`);
+  }
+
+  // Fewest cards: fill each one as far as it goes
+  const greedy = [[]];
+  for (const group of groups) {
+    if (!fits([...greedy[greedy.length - 1], group])) {
+      greedy.push([]);
+    }
+    greedy[greedy.length - 1].push(group);
+  }
+
+  // Then spread the chapters evenly over that many cards, if the even split still fits
+  const weight = by === 'chapters' ? () => 1 : (g) => g.duration;
+  const total = groups.reduce((sum, g) => sum + weight(g), 0);
+  const count = greedy.length;
+  const balanced = Array.from({ length: count }, () => []);
+  let before = 0;
+  for (const group of groups) {
+    const w = weight(group);
+    const index = total > 0 ? Math.min(count - 1, Math.floor((before + w / 2) / (total / count))) : 0;
+    balanced[index].push(group);
+    before += w;
+  }
+
+  const parts = balanced.every(part => part.length > 0 && fits(part)) ? balanced : greedy;
+  return parts.map(part => part.flatMap(g => g.entries));
+}
+
+// Consecutive entries in the same chapter share a card chapter; the rest get one each
+export function getCardChapterGroups(entries) {
+  const groups = [];
+  entries.forEach((entry, i) => {
+    if (!entry.chapter_id || entry.chapter_id !== entries[i - 1]?.chapter_id) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(entry);
+  });
+  return groups;
+}
+
+function validateEntries(entries, limits) {
+  const errors = [];
+  const warnings = [];
+
+  const chapters = getCardChapterGroups(entries).length;
+  const duration = entries.reduce((sum, entry) => sum + (getEntryDuration(entry) || 0), 0);
+  let size = 0;
+
+  for (const entry of entries) {
+    // Remote-only tracks are already transcoded on Yoto, so they don't count towards upload size
+    if (entry.source === 'yoto') continue;
+
+    const bytes = getEntrySize(entry);
+    if (bytes == null) {
+      warnings.push({
+        code: 'not_downloaded',
+        message: `"${entry.title}" isn't downloaded yet, so its size can't be checked`,
+        song_id: entry.id
+      });
+      continue;
+    }
+
+    size += bytes;
+    checkLimit({ errors, warnings }, {
+      code: 'track_too_large',
+      value: bytes,
+      limit: limits.maxTrackBytes,
+      message: `"${entry.title}" is ${formatMb(bytes)} (limit ${formatMb(limits.maxTrackBytes)} per track)`,
+      song_id: entry.id
+    });
+  }
+
+  checkLimit({ errors, warnings }, {
+    code: 'too_many_chapters',
+    value: chapters,
+    limit: limits.maxChapters,
+    message: `${chapters} chapters (limit ${limits.maxChapters})`
+  });
+  checkLimit({ errors, warnings }, {
+    code: 'too_long',
+    value: duration,
+    limit: limits.maxDurationSeconds,
+    message: `${formatHours(duration)} total runtime (limit ${formatHours(limits.maxDurationSeconds)})`
+  });
+  checkLimit({ errors, warnings }, {
+    code: 'too_large',
+    value: size,
+    limit: limits.maxCardBytes,
+    message: `${formatMb(size)} total (limit ${formatMb(limits.maxCardBytes)})`
+  });
+
+  return {
+    errors,
+    warnings,
+    totals: { chapters, tracks: entries.length, duration, size }
+  };
+}
+
+// Over the limit is an error; within NEAR_LIMIT_RATIO of it a warning
+function checkLimit({ errors, warnings }, issue) {
+  if (issue.value > issue.limit) {
+    errors.push(issue);
+  } else if (issue.value > issue.limit * NEAR_LIMIT_RATIO) {
+    warnings.push({ ...issue, code: `near_${issue.code}` });
+  }
+}
+
+// Size of the file an upload would send. A trimmed entry that hasn't been cut yet is
+// estimated from the share of the song it keeps.
+function getEntrySize(entry) {
+  if (!entry.file_path || !fs.existsSync(entry.file_path)) return null;
+
+  const uploadPath = getEntryAudioPath(entry);
+  if (fs.existsSync(uploadPath)) {
+    return fs.statSync(uploadPath).size;
+  }
+
+  const sourceSize = fs.statSync(getEntryAudioPath({ ...entry, start_seconds: null, end_seconds: null })).size;
+  return entry.duration > 0
+    ? Math.round(sourceSize * Math.min(1, getEntryDuration(entry) / entry.duration))
+    : sourceSize;
+}
+
+function formatMb(bytes) {
+  return `${(bytes / MB).toFixed(1)} MB`;
+}
+
+function formatHours(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.round((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
@@ -0,0 +1,240 @@
+import { spawn } from 'child_process';
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be'];
+
+// Placeholder entries yt-dlp lists for videos that can't be played
+const UNAVAILABLE_TITLES = ['[Private video]', '[Deleted video]'];
+
+// Search results are cached per query for YOUTUBE_SEARCH_CACHE_MINUTES (0 = no cache), so
+// paging through results or repeating a search doesn't spawn yt-dlp again
+const DEFAULT_SEARCH_CACHE_MINUTES = 10;
+const MAX_CACHED_SEARCHES = 100;
+
+// Normalized query -> { items, complete, expires }; complete means YouTube had no more results
+const searchCache = new Map();
+// Normalized query -> { count, promise } for searches yt-dlp is still running
+const searchesInFlight = new Map();
+
+// Search YouTube using yt-dlp. Returns { results, cached, hasMore }: results offset..offset+limit
+// of the search, whether they came from the cache, and whether there are more after them.
+export async function searchYouTube(query, { offset = 0, limit = 10 } = {}) {
+  const key = query.trim().replace(/\s+/g, ' ').toLowerCase();
+  const count = offset + limit;
+
+  const entry = getCachedSearch(key);
+  if (entry && (entry.items.length >= count || entry.complete)) {
+    return toSearchPage(entry, offset, limit, true);
+  }
+
+  // Someone is already running this search deep enough: wait for theirs
+  let search = searchesInFlight.get(key);
+  if (!search || search.count < count) {
+    search = { count, promise: fetchSearch(query, count) };
+    searchesInFlight.set(key, search);
+    search.promise
+      .then(items => cacheSearch(key, items, items.length < count))
+      .catch(() => {})
+      .finally(() => {
+        if (searchesInFlight.get(key) === search) searchesInFlight.delete(key);
+      });
+  }
+
+  const items = await search.promise;
+  return toSearchPage({ items, complete: items.length < search.count }, offset, limit, false);
+}
+
+async function fetchSearch(query, count) {
+  const output = await runYtDlp([
+    `ytsearch${count}:${query}`,
+    '--dump-json',
+    '--flat-playlist',
+    '--no-warnings',
+    '--ignore-errors'
+  ]);
+
+  try {
+    // yt-dlp outputs one JSON object per line
+    return output
+      .trim()
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => toSongInfo(JSON.parse(line)));
+  } catch (parseError) {
+    throw new Error(`Failed to parse results: ${parseError.message}`);
+  }
+}
+
+function toSearchPage(entry, offset, limit, cached) {
+  return {
+    results: entry.items.slice(offset, offset + limit),
+    cached,
+    hasMore: entry.items.length > offset + limit || !entry.complete
+  };
+}
+
+function getSearchCacheTtl() {
+  const minutes = parseFloat(process.env.YOUTUBE_SEARCH_CACHE_MINUTES);
+  return (Number.isFinite(minutes) ? minutes : DEFAULT_SEARCH_CACHE_MINUTES) * 60 * 1000;
+}
+
+function getCachedSearch(key) {
+  const entry = searchCache.get(key);
+  if (entry && entry.expires <= Date.now()) {
+    searchCache.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+function cacheSearch(key, items, complete) {
+  const ttl = getSearchCacheTtl();
+  if (ttl <= 0) return;
+
+  // A shallower search finishing late mustn't replace a deeper one
+  const existing = getCachedSearch(key);
+  if (existing && existing.items.length > items.length) return;
+
+  searchCache.delete(key);
+  searchCache.set(key, { items, complete, expires: Date.now() + ttl });
+
+  // Maps keep insertion order, so the first key is the oldest search
+  for (const [oldKey, oldEntry] of searchCache) {
+    if (searchCache.size <= MAX_CACHED_SEARCHES && oldEntry.expires > Date.now()) break;
+    searchCache.delete(oldKey);
+  }
+}
+
+// A video's chapter markers ([{ title, start, end }] in seconds; empty if it has none)
+export async function getYouTubeChapters(youtubeId) {
+  const output = await runYtDlp([
+    `https://www.youtube.com/watch?v=${youtubeId}`,
+    '--dump-json',
+    '--skip-download',
+    '--no-playlist',
+    '--no-warnings'
+  ]);
+
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (parseError) {
+    throw new Error(`Failed to parse video info: ${parseError.message}`);
+  }
+
+  return (data.chapters || [])
+    .map(chapter => ({
+      title: chapter.title,
+      start: chapter.start_time,
+      end: chapter.end_time ?? data.duration
+    }))
+    .filter(chapter => chapter.end > chapter.start);
+}
+
+export function isYouTubeUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'https:' || protocol === 'http:') && YOUTUBE_HOSTS.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// List the videos of a playlist, channel or mix URL in source order (without downloading anything)
+export async function listYouTubePlaylist(url, { limit = 200 } = {}) {
+  const output = await runYtDlp([
+    normalizeListUrl(url),
+    '--dump-single-json',
+    '--flat-playlist',
+    '--yes-playlist',
+    '--playlist-end', String(limit),
+    '--no-warnings',
+    '--ignore-errors'
+  ]);
+
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (parseError) {
+    throw new Error(`Failed to parse playlist: ${parseError.message}`);
+  }
+
+  if (!Array.isArray(data.entries)) {
+    throw new Error('URL is a single video, not a playlist, channel or mix');
+  }
+
+  const entries = data.entries.filter(entry => entry?.id);
+
+  return {
+    id: data.id,
+    title: data.title || '',
+    uploader: data.uploader || data.channel || '',
+    url: data.webpage_url || url,
+    items: entries
+      .filter(entry => !UNAVAILABLE_TITLES.includes(entry.title))
+      .map(toSongInfo),
+    // Ids of private/deleted videos still listed in the source
+    unavailable: entries
+      .filter(entry => UNAVAILABLE_TITLES.includes(entry.title))
+      .map(entry => entry.id)
+  };
+}
+
+// A channel's home page lists its tabs rather than videos, so point it at the videos tab
+function normalizeListUrl(url) {
+  const parsed = new URL(url);
+  if (/^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/?$/.test(parsed.pathname)) {
+    parsed.pathname = `${parsed.pathname.replace(/\/$/, '')}/videos`;
+  }
+  return parsed.toString();
+}
+
+function toSongInfo(data) {
+  return {
+    youtube_id: data.id,
+    title: data.title,
+    artist: data.uploader || data.channel || '',
+    duration: data.duration || 0,
+    thumbnail: getBestThumbnail(data.thumbnails),
+    url: data.url || `https://www.youtube.com/watch?v=${data.id}`
+  };
+}
+
+function getBestThumbnail(thumbnails) {
+  if (!thumbnails || !thumbnails.length) return '';
+
+  // Prefer medium-sized thumbnails for performance
+  const preferred = thumbnails.find(t => t.width >= 320 && t.width <= 640);
+  if (preferred) return preferred.url;
+
+  // Fall back to last (usually highest quality)
+  return thumbnails[thumbnails.length - 1]?.url || '';
+}
+
+// Run yt-dlp and resolve with its stdout (partial output from --ignore-errors still counts)
+function runYtDlp(args) {
+  return new Promise((resolve, reject) => {
+    const ytdlp = spawn('yt-dlp', args);
+    let stdout = '';
+    let stderr = '';
+
+    ytdlp.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    ytdlp.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ytdlp.on('close', (code) => {
+      if (code !== 0 && !stdout) {
+        reject(new Error(stderr || `yt-dlp exited with code ${code}`));
+        return;
+      }
+      resolve(stdout);
+    });
+
+    ytdlp.on('error', (error) => {
+      reject(new Error(`Failed to start yt-dlp: ${error.message}. Is yt-dlp installed?`));
+    });
+  });
+}
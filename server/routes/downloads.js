@@ -4,10 +4,18 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { db } from '../lib/db.js';
+import { registerJobHandler, enqueueJob, findActiveJob, getJob, waitForJob, jobEvents } from '../lib/jobs.js';
+import { queueNormalize } from '../lib/loudness.js';
+import { trimAudio } from '../lib/audio.js';
 
 const router = Router();
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DOWNLOADS_DIR = path.join(__dirname, '../../downloads');
+const PARTS_DIR = path.join(DOWNLOADS_DIR, 'parts');
+
+// Downloads in progress in this process, keyed by song id. Several chapter parts can need
+// the same full video at once, and it should only be fetched once.
+const inFlightDownloads = new Map();
 
 // Ensure downloads directory exists
 if (!fs.existsSync(DOWNLOADS_DIR)) {
@@ -29,7 +37,7 @@ router.get('/status/:youtubeId', (req, res) => {
   });
 });
 
-// Download a song
+// Download a song (queued as a background job; waits for it to finish)
 router.post('/:youtubeId', async (req, res) => {
   const { youtubeId } = req.params;
 
@@ -39,26 +47,57 @@ router.post('/:youtubeId', async (req, res) => {
     return res.json({ success: true, song: existingSong, cached: true });
   }
 
-  try {
-    const result = await downloadAudio(youtubeId);
+  // Videos that aren't in the library yet are downloaded all the same
+  const queued = existingSong
+    ? queueDownload(existingSong)
+    : enqueueJob('download', { payload: { youtubeId } });
+  const job = await waitForJob(queued.id);
+  if (job.status !== 'completed') {
+    return res.status(500).json({ error: 'Download failed', details: job.error, jobId: job.id });
+  }
 
-    // Update song record with file path
-    db.prepare(`
-      UPDATE songs
-      SET file_path = ?, downloaded_at = CURRENT_TIMESTAMP
-      WHERE youtube_id = ?
-    `).run(result.filePath, youtubeId);
+  const song = db.prepare('SELECT * FROM songs WHERE youtube_id = ?').get(youtubeId);
+  res.json({ success: true, song, cached: false });
+});
+
+// Download a song by its id (chapter parts and other songs without a YouTube id of their own)
+router.post('/song/:songId', async (req, res) => {
+  const existingSong = db.prepare('SELECT * FROM songs WHERE id = ?').get(req.params.songId);
+  if (!existingSong) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  if (existingSong.file_path && fs.existsSync(existingSong.file_path)) {
+    return res.json({ success: true, song: existingSong, cached: true });
+  }
+
+  const job = await waitForJob(queueDownload(existingSong).id);
+  if (job.status !== 'completed') {
+    return res.status(500).json({ error: 'Download failed', details: job.error, jobId: job.id });
+  }
 
-    const song = db.prepare('SELECT * FROM songs WHERE youtube_id = ?').get(youtubeId);
-    res.json({ success: true, song, cached: false });
-  } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({ error: 'Download failed', details: error.message });
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(existingSong.id);
+  res.json({ success: true, song, cached: false });
+});
+
+// Normalize a downloaded song's loudness (queued as a background job)
+router.post('/normalize/:songId', (req, res) => {
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(req.params.songId);
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
   }
+
+  if (!song.file_path || !fs.existsSync(song.file_path)) {
+    return res.status(400).json({ error: 'Song is not downloaded' });
+  }
+
+  const job = queueNormalize(song);
+  res.status(job ? 202 : 200).json({ queued: !!job, job, song });
 });
 
-// Download all songs in a playlist (with SSE progress)
-router.get('/playlist/:playlistId/stream', async (req, res) => {
+// Download all songs in a playlist (with SSE progress).
+// Downloads run as background jobs; this stream only reports on them, so
+// closing it doesn't stop anything and reopening it reattaches to the same jobs.
+router.get('/playlist/:playlistId/stream', (req, res) => {
   const { playlistId } = req.params;
 
   // Set up SSE
@@ -70,92 +109,256 @@ router.get('/playlist/:playlistId/stream', async (req, res) => {
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
-  const songs = db.prepare(`
-    SELECT s.*
-    FROM songs s
-    JOIN playlist_songs ps ON s.id = ps.song_id
-    WHERE ps.playlist_id = ?
-    ORDER BY ps.position
-  `).all(playlistId);
-
+  const songs = getPlaylistSongs(playlistId);
   const total = songs.length;
   let completed = 0;
   let errors = 0;
 
+  // Songs still waiting on a download job, keyed by job id
+  const pending = new Map();
+
   for (const song of songs) {
-    sendEvent({
-      type: 'progress',
-      current: completed + 1,
-      total,
-      title: song.title,
-      youtube_id: song.youtube_id
-    });
+    // Remote-only tracks imported from a Yoto card have nothing to download
+    if (song.source === 'yoto') {
+      sendEvent({ type: 'progress', current: completed + errors + 1, total, title: song.title, song_id: song.id, youtube_id: song.youtube_id });
+      completed++;
+      sendEvent({ type: 'complete', song_id: song.id, youtube_id: song.youtube_id, cached: true, remote: true });
+      continue;
+    }
 
-    // Skip if already downloaded
     if (song.file_path && fs.existsSync(song.file_path)) {
+      sendEvent({ type: 'progress', current: completed + errors + 1, total, title: song.title, song_id: song.id, youtube_id: song.youtube_id });
       completed++;
-      sendEvent({ type: 'complete', youtube_id: song.youtube_id, cached: true });
+      sendEvent({ type: 'complete', song_id: song.id, youtube_id: song.youtube_id, cached: true });
+
+      // Catch up on songs downloaded before normalization existed
+      queueNormalize(song, playlistId);
       continue;
     }
 
-    try {
-      const result = await downloadAudio(song.youtube_id);
-      db.prepare(`
-        UPDATE songs
-        SET file_path = ?, downloaded_at = CURRENT_TIMESTAMP
-        WHERE youtube_id = ?
-      `).run(result.filePath, song.youtube_id);
+    const job = queueDownload(song, playlistId);
+    pending.set(job.id, song);
+  }
+
+  const finish = () => {
+    if (pending.size > 0) return;
+    jobEvents.off('update', onUpdate);
+    sendEvent({ type: 'done', completed, errors, total });
+    res.end();
+  };
+
+  const onUpdate = (job) => {
+    const song = pending.get(job.id);
+    if (!song) return;
+
+    if (job.status === 'running') {
+      sendEvent({ type: 'progress', current: completed + errors + 1, total, title: song.title, song_id: song.id, youtube_id: song.youtube_id, jobId: job.id });
+    } else if (job.status === 'completed') {
+      pending.delete(job.id);
       completed++;
-      sendEvent({ type: 'complete', youtube_id: song.youtube_id, cached: false });
-    } catch (error) {
+      sendEvent({ type: 'complete', song_id: song.id, youtube_id: song.youtube_id, cached: !!job.result?.cached, jobId: job.id });
+    } else if (job.status === 'failed' || job.status === 'cancelled') {
+      pending.delete(job.id);
       errors++;
-      sendEvent({ type: 'error', youtube_id: song.youtube_id, error: error.message });
+      sendEvent({ type: 'error', song_id: song.id, youtube_id: song.youtube_id, error: job.error, jobId: job.id });
+    }
+
+    finish();
+  };
+
+  jobEvents.on('update', onUpdate);
+  req.on('close', () => jobEvents.off('update', onUpdate));
+
+  // When reattaching, report jobs that were already running before we subscribed
+  for (const jobId of pending.keys()) {
+    const job = getJob(jobId);
+    if (job?.status === 'running') {
+      onUpdate(job);
     }
   }
 
-  sendEvent({ type: 'done', completed, errors, total });
-  res.end();
+  finish();
 });
 
 // Download all songs in a playlist (non-streaming fallback)
 router.post('/playlist/:playlistId', async (req, res) => {
   const { playlistId } = req.params;
 
-  const songs = db.prepare(`
-    SELECT s.*
-    FROM songs s
-    JOIN playlist_songs ps ON s.id = ps.song_id
-    WHERE ps.playlist_id = ?
-    ORDER BY ps.position
-  `).all(playlistId);
+  const songs = getPlaylistSongs(playlistId);
 
+  const queued = [];
   const results = [];
   const errors = [];
 
   for (const song of songs) {
+    if (song.source === 'yoto') {
+      results.push({ song_id: song.id, youtube_id: song.youtube_id, success: true, cached: true, remote: true });
+      continue;
+    }
+
     // Skip if already downloaded
     if (song.file_path && fs.existsSync(song.file_path)) {
-      results.push({ youtube_id: song.youtube_id, success: true, cached: true });
+      results.push({ song_id: song.id, youtube_id: song.youtube_id, success: true, cached: true });
       continue;
     }
 
-    try {
-      const result = await downloadAudio(song.youtube_id);
-      db.prepare(`
-        UPDATE songs
-        SET file_path = ?, downloaded_at = CURRENT_TIMESTAMP
-        WHERE youtube_id = ?
-      `).run(result.filePath, song.youtube_id);
-      results.push({ youtube_id: song.youtube_id, success: true, cached: false });
-    } catch (error) {
-      errors.push({ youtube_id: song.youtube_id, error: error.message });
+    queued.push({ song, job: queueDownload(song, playlistId) });
+  }
+
+  for (const { song, job } of queued) {
+    const finished = await waitForJob(job.id);
+    if (finished.status === 'completed') {
+      results.push({ song_id: song.id, youtube_id: song.youtube_id, success: true, cached: !!finished.result?.cached });
+    } else {
+      errors.push({ song_id: song.id, youtube_id: song.youtube_id, error: finished.error, jobId: job.id });
     }
   }
 
   res.json({ results, errors, total: songs.length });
 });
 
-function downloadAudio(youtubeId) {
+// Background job: download a single song and record its file path (or, with a youtubeId
+// payload, a video with no song yet; its file is recorded if the song has been added since)
+registerJobHandler('download', async (job, { signal }) => {
+  if (!job.song_id && job.payload?.youtubeId) {
+    const { youtubeId } = job.payload;
+    const { filePath } = await downloadAudio(youtubeId, { signal });
+    db.prepare(`
+      UPDATE songs
+      SET file_path = ?, downloaded_at = CURRENT_TIMESTAMP, normalized_path = NULL
+      WHERE youtube_id = ?
+    `).run(filePath, youtubeId);
+    return { cached: false, filePath };
+  }
+
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(job.song_id);
+  if (!song) {
+    throw new Error('Song not found');
+  }
+
+  if (song.file_path && fs.existsSync(song.file_path)) {
+    return { cached: true };
+  }
+
+  if (song.source === 'local') {
+    throw new Error('Imported file is missing from disk. Please import it again.');
+  }
+
+  if (song.source === 'yoto') {
+    throw new Error('Remote-only track: its audio only exists on Yoto');
+  }
+
+  const filePath = song.parent_song_id
+    ? await cutChapterPart(song, { signal })
+    : await downloadSongFile(song, { signal });
+
+  // Loudness normalization runs as its own job so a slow ffmpeg pass doesn't hold up downloads
+  queueNormalize({ ...song, normalized_path: null }, job.playlist_id);
+
+  return { cached: false, filePath };
+});
+
+// Download a song's audio and record its file path (sharing a download already in progress).
+// The shared download has its own abort controller: cancelling one waiter only stops it once
+// nobody else is waiting for it.
+function downloadSongFile(song, { signal } = {}) {
+  let download = inFlightDownloads.get(song.id);
+  if (!download) {
+    const controller = new AbortController();
+    download = { controller, waiters: 0 };
+    download.promise = downloadAudio(song.youtube_id, { signal: controller.signal })
+      .then(({ filePath }) => {
+        db.prepare(`
+          UPDATE songs
+          SET file_path = ?, downloaded_at = CURRENT_TIMESTAMP, normalized_path = NULL
+          WHERE id = ?
+        `).run(filePath, song.id);
+        return filePath;
+      })
+      .finally(() => {
+        if (inFlightDownloads.get(song.id) === download) inFlightDownloads.delete(song.id);
+      });
+    // Once every waiter has gone, nobody handles the (aborted) download's failure
+    download.promise.catch(() => {});
+    inFlightDownloads.set(song.id, download);
+  }
+
+  download.waiters++;
+  return new Promise((resolve, reject) => {
+    let left = false;
+    const leave = () => {
+      if (left) return false;
+      left = true;
+      download.waiters--;
+      signal?.removeEventListener('abort', onAbort);
+      return true;
+    };
+    const onAbort = () => {
+      if (!leave()) return;
+      if (download.waiters === 0) download.controller.abort();
+      reject(new Error('Download cancelled'));
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    download.promise.then(
+      (filePath) => leave() && resolve(filePath),
+      (error) => leave() && reject(error)
+    );
+  });
+}
+
+// Chapter parts are cut out of the full video's audio, which is downloaded first if needed
+async function cutChapterPart(song, { signal } = {}) {
+  const parent = db.prepare('SELECT * FROM songs WHERE id = ?').get(song.parent_song_id);
+  if (!parent) {
+    throw new Error('The video this chapter belongs to is gone');
+  }
+
+  const parentPath = parent.file_path && fs.existsSync(parent.file_path)
+    ? parent.file_path
+    : await downloadSongFile(parent, { signal });
+
+  if (!fs.existsSync(PARTS_DIR)) {
+    fs.mkdirSync(PARTS_DIR, { recursive: true });
+  }
+
+  const filePath = path.join(PARTS_DIR, `${song.id}.mp3`);
+  const partPath = `${filePath}.part`;
+  try {
+    await trimAudio(parentPath, partPath, { start: song.part_start, end: song.part_end }, { signal });
+    fs.renameSync(partPath, filePath);
+  } finally {
+    fs.rmSync(partPath, { force: true });
+  }
+
+  db.prepare(`
+    UPDATE songs
+    SET file_path = ?, downloaded_at = CURRENT_TIMESTAMP, normalized_path = NULL
+    WHERE id = ?
+  `).run(filePath, song.id);
+  return filePath;
+}
+
+// Reuse the song's queued/running download job if there is one
+function queueDownload(song, playlistId = null) {
+  return findActiveJob('download', song.id) || enqueueJob('download', { songId: song.id, playlistId });
+}
+
+function getPlaylistSongs(playlistId) {
+  return db.prepare(`
+    SELECT s.*
+    FROM songs s
+    JOIN playlist_songs ps ON s.id = ps.song_id
+    WHERE ps.playlist_id = ?
+    ORDER BY ps.position
+  `).all(playlistId);
+}
+
+function downloadAudio(youtubeId, { signal } = {}) {
   return new Promise((resolve, reject) => {
     const outputTemplate = path.join(DOWNLOADS_DIR, `${youtubeId}.%(ext)s`);
     const expectedPath = path.join(DOWNLOADS_DIR, `${youtubeId}.mp3`);
@@ -171,14 +374,17 @@ function downloadAudio(youtubeId) {
       '--quiet', // Suppress console output
       '--embed-thumbnail',
       '--add-metadata'
-      // Note: loudnorm disabled due to ffmpeg compatibility issues
-      // Can be re-enabled with: '--postprocessor-args', 'ffmpeg_o:-af loudnorm=I=-16:TP=-1.5:LRA=11'
+      // Loudness normalization runs afterwards as its own two-pass job (see lib/loudness.js)
     ];
 
     const ytdlp = spawn('yt-dlp', args);
     let stdout = '';
     let stderr = '';
 
+    // Kill yt-dlp if the job is cancelled
+    const onAbort = () => ytdlp.kill('SIGTERM');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     ytdlp.stdout.on('data', (data) => {
       stdout += data.toString();
     });
@@ -188,6 +394,17 @@ function downloadAudio(youtubeId) {
     });
 
     ytdlp.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+
+      if (signal?.aborted) {
+        // Remove partial downloads so they aren't picked up as the finished file later
+        fs.readdirSync(DOWNLOADS_DIR)
+          .filter(f => f.startsWith(youtubeId) && (f.endsWith('.part') || f.endsWith('.ytdl')))
+          .forEach(f => fs.rmSync(path.join(DOWNLOADS_DIR, f), { force: true }));
+        reject(new Error('Download cancelled'));
+        return;
+      }
+
       if (code !== 0) {
         reject(new Error(stderr || `yt-dlp exited with code ${code}`));
         return;
@@ -1,21 +1,44 @@
 import { Router } from 'express';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import archiver from 'archiver';
 import { db } from '../lib/db.js';
+import { isSupportedAudioFile, writeAudioTags } from '../lib/audio.js';
+import { prepareEntryAudio, getEntryDuration } from '../lib/trim.js';
+import { parsePlaylistFormats, buildPlaylistFile } from '../lib/playlistFiles.js';
+import { syncExportFolder } from '../lib/exportSync.js';
+import { getEntryTitle } from '../lib/songs.js';
 
 const router = Router();
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const EXPORTS_DIR = path.join(__dirname, '../../exports');
 const DOWNLOADS_DIR = path.join(__dirname, '../../downloads');
 
+// How exported tracks are named: "NN - Title", TonUINO/DFPlayer "FF/NNN.mp3" (nothing else in
+// the folder), or plain titles with a track list file giving the order
+const EXPORT_LAYOUTS = ['numbered', 'tonuino', 'flat'];
+
+// DFPlayer Mini limits: folders 01-99 holding tracks 001-255
+const TONUINO_MAX_FOLDER = 99;
+const TONUINO_MAX_TRACKS = 255;
+
+const TRACK_LIST_FILENAME = 'tracklist.txt';
+
 // Ensure exports directory exists
 if (!fs.existsSync(EXPORTS_DIR)) {
   fs.mkdirSync(EXPORTS_DIR, { recursive: true });
 }
 
-// Export playlist to folder
+// Export playlist to folder. ?layout=numbered|tonuino|flat picks how tracks are named
+// (tonuino also takes ?folder=1-99) and ?formats=m3u8,pls,xspf the playlist files written
+// alongside them (all by default, 'none' for just the audio); both are remembered.
+// The folder is exports/<name> unless the body gives an absolute target path (e.g. a mounted
+// MP3 player), which is remembered for the playlist; target: null goes back to the default.
+// Exports are incremental: only new or changed tracks are copied, and the response lists
+// what changed.
 router.post('/:playlistId', async (req, res) => {
   const { playlistId } = req.params;
 
@@ -24,14 +47,28 @@ router.post('/:playlistId', async (req, res) => {
     return res.status(404).json({ error: 'Playlist not found' });
   }
 
+  const options = parseExportOptions(req.query, playlist);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const { target, error: targetError } = parseExportTarget(req.body?.target, playlist);
+  if (targetError) {
+    return res.status(400).json({ error: targetError });
+  }
+
   const songs = db.prepare(`
-    SELECT s.*, ps.position
+    SELECT s.*, ps.id AS entry_id, ps.position, ps.start_seconds, ps.end_seconds, ps.display_title
     FROM songs s
     JOIN playlist_songs ps ON s.id = ps.song_id
     WHERE ps.playlist_id = ?
     ORDER BY ps.position
   `).all(playlistId);
 
+  if (options.layout === 'tonuino' && songs.length > TONUINO_MAX_TRACKS) {
+    return res.status(400).json({ error: `A TonUINO folder holds at most ${TONUINO_MAX_TRACKS} tracks` });
+  }
+
   // Check all songs are downloaded
   const notDownloaded = songs.filter(s => !s.file_path || !fs.existsSync(s.file_path));
   if (notDownloaded.length > 0) {
@@ -41,35 +78,63 @@ router.post('/:playlistId', async (req, res) => {
     });
   }
 
-  // Create sanitized folder name
-  const folderName = sanitizeFilename(playlist.name);
-  const exportPath = path.join(EXPORTS_DIR, folderName);
-
-  // Remove existing export folder if it exists
-  if (fs.existsSync(exportPath)) {
-    fs.rmSync(exportPath, { recursive: true });
+  // Cut trimmed entries before touching the export folder
+  let audioPaths;
+  try {
+    audioPaths = await prepareAudioFiles(songs);
+  } catch (error) {
+    console.error('Export prepare error:', error);
+    return res.status(500).json({ error: 'Failed to prepare audio', details: error.message });
   }
-  fs.mkdirSync(exportPath, { recursive: true });
 
-  // Copy files with numbered prefixes for ordering
-  const copied = [];
-  for (const song of songs) {
-    const trackNum = String(song.position + 1).padStart(2, '0');
-    const sanitizedTitle = sanitizeFilename(song.title);
-    const ext = path.extname(song.file_path);
-    const newFilename = `${trackNum} - ${sanitizedTitle}${ext}`;
-    const destPath = path.join(exportPath, newFilename);
+  // Synced as a whole from the target down, so a switch of layout or TonUINO folder removes
+  // the files the previous layout wrote
+  const exportPath = target ?? path.join(EXPORTS_DIR, sanitizeFilename(playlist.name));
+  const folder = getLayoutFolder(options);
+  // TonUINO exports have no playlist files, so the formats are kept for the other layouts
+  db.prepare(`
+    UPDATE playlists SET export_target = ?, export_layout = ?, export_folder = ?, export_formats = ? WHERE id = ?
+  `).run(
+    target,
+    options.layout,
+    options.folder ?? playlist.export_folder,
+    options.layout === 'tonuino' ? playlist.export_formats : options.formats.join(','),
+    playlistId
+  );
+
+  const tracks = getExportTracks(songs, audioPaths, options);
+  const coverPath = getCoverPath(playlist);
+  const extraFiles = getExtraFiles(playlist, tracks, options)
+    .map(file => ({ ...file, filename: path.posix.join(folder, file.filename) }));
 
-    fs.copyFileSync(song.file_path, destPath);
-    copied.push({ original: song.title, exported: newFilename });
+  let changes;
+  try {
+    changes = await syncExportFolder(exportPath, tracks.map(track => {
+      const tags = getTrackTags(playlist, track, coverPath);
+      return {
+        key: track.entryId,
+        filename: path.posix.join(folder, track.filename),
+        fingerprint: getTrackFingerprint(track, tags),
+        write: (destPath) => writeAudioTags(track.audioPath, destPath, tags, { format: track.format }),
+        tagFingerprint: String(tags.track),
+        retag: (filePath, destPath) => writeAudioTags(filePath, destPath, tags, { format: track.format })
+      };
+    }), extraFiles);
+  } catch (error) {
+    console.error('Export error:', error);
+    return res.status(500).json({ error: 'Failed to export', details: error.message });
   }
 
   res.json({
     success: true,
     playlist: playlist.name,
-    exportPath,
-    files: copied,
-    totalTracks: copied.length
+    exportPath: path.join(exportPath, folder),
+    layout: options.layout,
+    folder: options.folder,
+    files: tracks.map(track => ({ original: track.title, exported: track.filename })),
+    playlistFiles: extraFiles.map(f => f.filename),
+    totalTracks: tracks.length,
+    changes
   });
 });
 
@@ -83,7 +148,8 @@ router.get('/', (req, res) => {
     .filter(dirent => dirent.isDirectory())
     .map(dirent => {
       const folderPath = path.join(EXPORTS_DIR, dirent.name);
-      const files = fs.readdirSync(folderPath).filter(f => f.endsWith('.mp3'));
+      // Recursive, since the TonUINO layout puts tracks in a numbered subfolder
+      const files = fs.readdirSync(folderPath, { recursive: true }).filter(f => isSupportedAudioFile(f));
       const stats = fs.statSync(folderPath);
       return {
         name: dirent.name,
@@ -105,10 +171,12 @@ router.delete('/:folderName', (req, res) => {
   }
 
   fs.rmSync(folderPath, { recursive: true });
+  db.prepare('DELETE FROM export_syncs WHERE path = ? OR path LIKE ?').run(folderPath, `${folderPath}${path.sep}%`);
   res.status(204).send();
 });
 
-// Download playlist as zip
+// Download playlist as zip (takes the same ?layout=, ?folder= and ?formats= as the folder
+// export, defaulting to the playlist's remembered ones)
 router.get('/download/:playlistId', async (req, res) => {
   const { playlistId } = req.params;
 
@@ -117,14 +185,23 @@ router.get('/download/:playlistId', async (req, res) => {
     return res.status(404).json({ error: 'Playlist not found' });
   }
 
+  const options = parseExportOptions(req.query, playlist);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
   const songs = db.prepare(`
-    SELECT s.*, ps.position
+    SELECT s.*, ps.id AS entry_id, ps.position, ps.start_seconds, ps.end_seconds, ps.display_title
     FROM songs s
     JOIN playlist_songs ps ON s.id = ps.song_id
     WHERE ps.playlist_id = ?
     ORDER BY ps.position
   `).all(playlistId);
 
+  if (options.layout === 'tonuino' && songs.length > TONUINO_MAX_TRACKS) {
+    return res.status(400).json({ error: `A TonUINO folder holds at most ${TONUINO_MAX_TRACKS} tracks` });
+  }
+
   const notDownloaded = songs.filter(s => !s.file_path || !fs.existsSync(s.file_path));
   if (notDownloaded.length > 0) {
     return res.status(400).json({
@@ -133,6 +210,27 @@ router.get('/download/:playlistId', async (req, res) => {
     });
   }
 
+  let audioPaths;
+  try {
+    audioPaths = await prepareAudioFiles(songs);
+  } catch (error) {
+    console.error('Export prepare error:', error);
+    return res.status(500).json({ error: 'Failed to prepare audio', details: error.message });
+  }
+
+  // Tagged copies go in a temporary folder that's removed once the zip has been sent
+  const tracks = getExportTracks(songs, audioPaths, options);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yoto-export-'));
+  const cleanup = () => fs.rmSync(tempDir, { recursive: true, force: true });
+  try {
+    await writeTaggedTracks(playlist, tracks, tempDir);
+  } catch (error) {
+    cleanup();
+    console.error('Export tagging error:', error);
+    return res.status(500).json({ error: 'Failed to write tags', details: error.message });
+  }
+  res.on('close', cleanup);
+
   const zipFilename = `${sanitizeFilename(playlist.name)}.zip`;
   res.setHeader('Content-Type', 'application/zip');
   res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
@@ -140,17 +238,197 @@ router.get('/download/:playlistId', async (req, res) => {
   const archive = archiver('zip', { zlib: { level: 5 } });
   archive.pipe(res);
 
-  for (const song of songs) {
-    const trackNum = String(song.position + 1).padStart(2, '0');
-    const sanitizedTitle = sanitizeFilename(song.title);
-    const ext = path.extname(song.file_path);
-    const filename = `${trackNum} - ${sanitizedTitle}${ext}`;
-    archive.file(song.file_path, { name: filename });
+  const folder = getLayoutFolder(options);
+  for (const track of tracks) {
+    archive.file(path.join(tempDir, track.filename), { name: path.posix.join(folder, track.filename) });
+  }
+  for (const { filename, content } of getExtraFiles(playlist, tracks, options)) {
+    archive.append(content, { name: path.posix.join(folder, filename) });
   }
 
   await archive.finalize();
 });
 
+// Resolve the file to export for each entry (normalized and/or trimmed), one at a time
+async function prepareAudioFiles(songs) {
+  const audioPaths = [];
+  for (const song of songs) {
+    audioPaths.push(await prepareEntryAudio(song));
+  }
+  return audioPaths;
+}
+
+// Exported file name (relative to the layout's folder), output format and playlist-file
+// details for each entry
+function getExportTracks(songs, audioPaths, { layout }) {
+  const usedNames = new Set();
+
+  return songs.map((song, i) => {
+    const audioPath = audioPaths[i];
+    const title = getEntryTitle(song);
+    // DFPlayers only play MP3 (and WAV) files
+    const format = layout === 'tonuino' ? '.mp3' : path.extname(audioPath);
+
+    let filename;
+    if (layout === 'tonuino') {
+      filename = `${String(i + 1).padStart(3, '0')}${format}`;
+    } else if (layout === 'flat') {
+      filename = uniqueFilename(sanitizeFilename(title) || 'Track', format, usedNames);
+    } else {
+      filename = `${String(song.position + 1).padStart(2, '0')} - ${sanitizeFilename(title)}${format}`;
+    }
+
+    return {
+      entryId: song.entry_id,
+      audioPath,
+      filename,
+      format,
+      title,
+      artist: song.artist,
+      duration: getEntryDuration(song),
+      trackNumber: song.position + 1
+    };
+  });
+}
+
+// Write each track into dir under its export name, tagged with the playlist as the album
+// (and its cover as album art). The source files are never modified.
+async function writeTaggedTracks(playlist, tracks, dir) {
+  const coverPath = getCoverPath(playlist);
+
+  for (const track of tracks) {
+    await writeAudioTags(track.audioPath, path.join(dir, track.filename), getTrackTags(playlist, track, coverPath), {
+      format: track.format
+    });
+  }
+}
+
+// The track number is left without a total, so adding a track doesn't change every other
+// file in an incremental export
+function getTrackTags(playlist, track, coverPath) {
+  return {
+    title: track.title,
+    artist: track.artist,
+    album: playlist.name,
+    track: track.trackNumber,
+    coverPath
+  };
+}
+
+// Changes whenever the exported file's audio or tags would. The track number is left out: a
+// renumbered track is renamed and re-tagged from the exported file (see syncExportFolder).
+function getTrackFingerprint(track, tags) {
+  const stats = fs.statSync(track.audioPath);
+  const cover = tags.coverPath ? fs.statSync(tags.coverPath) : null;
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([
+      track.audioPath, stats.size, stats.mtimeMs, track.format,
+      tags.title, tags.artist, tags.album,
+      tags.coverPath, cover?.size, cover?.mtimeMs
+    ]))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+function getCoverPath(playlist) {
+  return playlist.cover_path && fs.existsSync(playlist.cover_path) ? playlist.cover_path : null;
+}
+
+// Where to export: the requested target (undefined = the playlist's remembered one, null or
+// '' = the default). Returns { target } (null for the default) or { error }.
+function parseExportTarget(value, playlist) {
+  if (value === undefined) return { target: playlist.export_target || null };
+  if (value === null || value === '') return { target: null };
+
+  if (typeof value !== 'string' || !path.isAbsolute(value)) {
+    return { error: 'target must be an absolute folder path' };
+  }
+
+  const target = path.resolve(value);
+  if (!fs.existsSync(path.dirname(target))) {
+    return { error: `${path.dirname(target)} doesn't exist. Is the device mounted?` };
+  }
+  if (fs.existsSync(target) && !fs.statSync(target).isDirectory()) {
+    return { error: `${target} is not a folder` };
+  }
+
+  return { target };
+}
+
+// Files written next to the tracks: playlist files named after the playlist (with paths
+// relative to the tracks), and the track list for the flat layout
+function getExtraFiles(playlist, tracks, { layout, formats }) {
+  const basename = sanitizeFilename(playlist.name) || 'playlist';
+  const files = formats.map(format => ({
+    filename: `${basename}.${format}`,
+    content: buildPlaylistFile(format, playlist.name, tracks)
+  }));
+
+  if (layout === 'flat') {
+    files.push({ filename: TRACK_LIST_FILENAME, content: buildTrackList(playlist, tracks) });
+  }
+  return files;
+}
+
+function buildTrackList(playlist, tracks) {
+  const width = String(tracks.length).length;
+  const lines = tracks.map((track, i) => {
+    const name = track.artist ? `${track.artist} - ${track.title}` : track.title;
+    const duration = track.duration ? ` (${formatDuration(track.duration)})` : '';
+    return `${String(i + 1).padStart(width, '0')}. ${name}${duration}  [${track.filename}]`;
+  });
+  return [playlist.name, '', ...lines, ''].join('\n');
+}
+
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+}
+
+// "Title.mp3", or "Title (2).mp3" if an earlier track took that name (case-insensitively,
+// for FAT-formatted players)
+function uniqueFilename(base, ext, usedNames) {
+  let filename = `${base}${ext}`;
+  for (let n = 2; usedNames.has(filename.toLowerCase()); n++) {
+    filename = `${base} (${n})${ext}`;
+  }
+  usedNames.add(filename.toLowerCase());
+  return filename;
+}
+
+// Layout, TonUINO folder number and playlist formats from the query, falling back to what the
+// playlist last exported with. Returns { layout, folder, formats } or { error }.
+function parseExportOptions(query, playlist) {
+  const layout = query.layout ?? playlist.export_layout ?? 'numbered';
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return { error: `layout must be one of: ${EXPORT_LAYOUTS.join(', ')}` };
+  }
+
+  if (layout === 'tonuino') {
+    const folder = query.folder !== undefined ? Number(query.folder) : playlist.export_folder || 1;
+    if (!Number.isInteger(folder) || folder < 1 || folder > TONUINO_MAX_FOLDER) {
+      return { error: `folder must be a whole number from 1 to ${TONUINO_MAX_FOLDER}` };
+    }
+
+    // The player counts every file in the folder as a track
+    const { formats } = parsePlaylistFormats(query.formats);
+    if (query.formats !== undefined && formats?.length !== 0) {
+      return { error: 'The tonuino layout can\'t include playlist files' };
+    }
+    return { layout, folder, formats: [] };
+  }
+
+  const { formats, error } = parsePlaylistFormats(query.formats ?? playlist.export_formats ?? undefined);
+  if (error) {
+    return { error };
+  }
+  return { layout, folder: null, formats };
+}
+
+// Subfolder of the export target the layout puts its tracks in
+function getLayoutFolder({ layout, folder }) {
+  return layout === 'tonuino' ? String(folder).padStart(2, '0') : '';
+}
+
 function sanitizeFilename(name) {
   return name
     .replace(/[<>:"/\\|?*]/g, '') // Remove illegal chars
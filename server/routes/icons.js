@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import multer from 'multer';
+import { db } from '../lib/db.js';
+import { createIcon, deleteIcon } from '../lib/icons.js';
+
+const router = Router();
+
+const iconUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      cb(new Error(`Not an image: ${file.originalname}`));
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+// List the local icon library
+router.get('/', (req, res) => {
+  const icons = db.prepare(`
+    SELECT i.*, COUNT(ps.id) as usage_count
+    FROM icons i
+    LEFT JOIN playlist_songs ps ON ps.icon_id = i.id
+    GROUP BY i.id
+    ORDER BY i.name COLLATE NOCASE
+  `).all();
+
+  res.json({ icons });
+});
+
+// Add an icon to the library (multipart field "image", optional "name")
+router.post('/', (req, res) => {
+  iconUpload.single('image')(req, res, async (err) => {
+    if (err) {
+      if (req.file) fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: 'Upload failed', details: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    try {
+      const name = req.body.name || path.basename(req.file.originalname, path.extname(req.file.originalname));
+      const icon = await createIcon(req.file.path, name);
+      res.status(201).json(icon);
+    } catch (error) {
+      res.status(400).json({ error: 'Failed to create icon', details: error.message });
+    } finally {
+      fs.rmSync(req.file.path, { force: true });
+    }
+  });
+});
+
+// Get an icon's 16x16 PNG
+router.get('/:id/image', (req, res) => {
+  const icon = db.prepare('SELECT * FROM icons WHERE id = ?').get(req.params.id);
+
+  if (!icon || !fs.existsSync(icon.file_path)) {
+    return res.status(404).json({ error: 'Icon not found' });
+  }
+
+  res.sendFile(icon.file_path);
+});
+
+// Delete an icon (entries using it go back to no icon)
+router.delete('/:id', (req, res) => {
+  if (!deleteIcon(req.params.id)) {
+    return res.status(404).json({ error: 'Icon not found' });
+  }
+
+  res.status(204).send();
+});
+
+export default router;
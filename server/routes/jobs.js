@@ -0,0 +1,60 @@
+import { Router } from 'express';
+import { getJob, listJobs, cancelJob, retryJob } from '../lib/jobs.js';
+
+const router = Router();
+
+// List jobs (optionally filtered by status, type or playlist)
+router.get('/', (req, res) => {
+  const { status, type, playlist_id, song_id, limit = 100 } = req.query;
+
+  const jobs = listJobs({
+    status,
+    type,
+    playlistId: playlist_id,
+    songId: song_id,
+    limit: parseInt(limit) || 100
+  });
+
+  res.json({ jobs });
+});
+
+// Get a single job
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+// Retry a failed or cancelled job
+router.post('/:id/retry', (req, res) => {
+  if (!getJob(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const job = retryJob(req.params.id);
+  if (!job) {
+    return res.status(400).json({ error: 'Only failed or cancelled jobs can be retried' });
+  }
+
+  res.json(job);
+});
+
+// Cancel a queued or running job
+router.post('/:id/cancel', (req, res) => {
+  if (!getJob(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return res.status(400).json({ error: 'Job is not queued or running' });
+  }
+
+  res.json(job);
+});
+
+export default router;
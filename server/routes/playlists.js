@@ -1,8 +1,68 @@
 import { Router } from 'express';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../lib/db.js';
+import { isSupportedAudioFile, probeAudio } from '../lib/audio.js';
+import { isYouTubeUrl, getYouTubeChapters } from '../lib/youtube.js';
+import { queueNormalize } from '../lib/loudness.js';
+import { getChapters, normalizeEntryOrder, setChapterSongs, renumberChapters } from '../lib/chapters.js';
+import { getOrCreateYouTubeSong, getOrCreateChapterParts, appendSongs, appendYouTubeItems } from '../lib/songs.js';
+import { validatePlaylist, CARD_SPLIT_MODES } from '../lib/validation.js';
+import { getPlaylistCards } from '../lib/cards.js';
+import { getTitleRules, cleanSongInfo } from '../lib/titles.js';
+import { removeTrimmedCopy } from '../lib/trim.js';
+import { linkPlaylistSource, unlinkPlaylistSource, refreshPlaylistSource } from '../lib/mirror.js';
+import {
+  saveCoverImage, saveCoverFromUrl, setStockCover, clearCover, isValidStockCoverName
+} from '../lib/covers.js';
 
 const router = Router();
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOCAL_AUDIO_DIR = path.join(__dirname, '../../downloads/local');
+
+// Ensure local audio directory exists
+if (!fs.existsSync(LOCAL_AUDIO_DIR)) {
+  fs.mkdirSync(LOCAL_AUDIO_DIR, { recursive: true });
+}
+
+// Largest audio file accepted for import (long audiobook chapters can run to hundreds of MB)
+const MAX_AUDIO_UPLOAD_BYTES = 500 * 1024 * 1024;
+
+// Imported files are stored as <songId><ext> alongside the yt-dlp downloads
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: LOCAL_AUDIO_DIR,
+    filename: (req, file, cb) => {
+      file.songId = uuidv4();
+      cb(null, `${file.songId}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: MAX_AUDIO_UPLOAD_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (!isSupportedAudioFile(file.originalname)) {
+      cb(new Error(`Unsupported file type: ${file.originalname} (use MP3, M4A, OGG, WAV or FLAC)`));
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+// Cover images are processed from a temp file into data/covers
+const coverUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      cb(new Error(`Not an image: ${file.originalname}`));
+      return;
+    }
+    cb(null, true);
+  }
+});
 
 // Get all playlists
 router.get('/', (req, res) => {
@@ -26,14 +86,32 @@ router.get('/:id', (req, res) => {
   }
 
   const songs = db.prepare(`
-    SELECT s.*, ps.position, ps.id as playlist_song_id
+    SELECT s.*, ps.position, ps.id as playlist_song_id, ps.start_seconds, ps.end_seconds, ps.icon_id,
+           ps.chapter_id, ps.source_status, ps.display_title
     FROM songs s
     JOIN playlist_songs ps ON s.id = ps.song_id
     WHERE ps.playlist_id = ?
     ORDER BY ps.position ASC
   `).all(req.params.id);
 
-  res.json({ ...playlist, songs });
+  res.json({ ...playlist, songs, chapters: getChapters(req.params.id), cards: getPlaylistCards(req.params.id) });
+});
+
+// Check the playlist against Yoto MYO card limits (chapters, track size, runtime, card size).
+// split ('duration', 'chapters' or 'off') checks it as if split across cards that way.
+router.get('/:id/validate', (req, res) => {
+  const { split } = req.query;
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (split !== undefined && split !== 'off' && !CARD_SPLIT_MODES.includes(split)) {
+    return res.status(400).json({ error: `split must be one of: ${[...CARD_SPLIT_MODES, 'off'].join(', ')}` });
+  }
+
+  res.json(validatePlaylist(playlist.id, { split: split === 'off' ? null : split }));
 });
 
 // Create playlist
@@ -50,6 +128,57 @@ router.post('/', (req, res) => {
   res.status(201).json(playlist);
 });
 
+// Import videos from a YouTube playlist, channel or mix (as previewed by GET /api/search/playlist,
+// minus any deselected items) into an existing playlist, or a new one when playlist_id is omitted.
+// Items are appended in the order given; ones already in the playlist are skipped.
+// With source_url the playlist is linked to the YouTube source for later refreshes; seen_ids
+// (every previewed id, including deselected ones) keeps deselected videos from coming back.
+router.post('/import/youtube', async (req, res) => {
+  const { items, playlist_id, name, description, source_url, seen_ids, resync_yoto } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  }
+  if (items.some(item => !item?.youtube_id || !item.title)) {
+    return res.status(400).json({ error: 'Every item needs a youtube_id and title' });
+  }
+
+  if (playlist_id && !db.prepare('SELECT id FROM playlists WHERE id = ?').get(playlist_id)) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  if (!playlist_id && !name) {
+    return res.status(400).json({ error: 'name is required for a new playlist' });
+  }
+
+  if (source_url && !isYouTubeUrl(source_url)) {
+    return res.status(400).json({ error: 'source_url must be a YouTube URL' });
+  }
+
+  const result = db.transaction(() => {
+    const playlistId = playlist_id || uuidv4();
+    if (!playlist_id) {
+      db.prepare(`
+        INSERT INTO playlists (id, name, description) VALUES (?, ?, ?)
+      `).run(playlistId, name, description || '');
+    }
+
+    return { playlistId, ...appendYouTubeItems(playlistId, items) };
+  })();
+
+  if (source_url) {
+    await linkPlaylistSource(result.playlistId, source_url, {
+      resyncYoto: !!resync_yoto,
+      seenIds: Array.isArray(seen_ids) ? seen_ids : items.map(item => item.youtube_id)
+    });
+  }
+
+  res.status(playlist_id ? 200 : 201).json({
+    playlist: db.prepare('SELECT * FROM playlists WHERE id = ?').get(result.playlistId),
+    added: result.added.length,
+    skipped: result.skipped
+  });
+});
+
 // Update playlist
 router.put('/:id', (req, res) => {
   const { name, description, color } = req.body;
@@ -74,18 +203,170 @@ router.put('/:id', (req, res) => {
 
 // Delete playlist
 router.delete('/:id', (req, res) => {
-  const result = db.prepare('DELETE FROM playlists WHERE id = ?').run(req.params.id);
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(req.params.id);
 
-  if (result.changes === 0) {
+  if (!playlist) {
     return res.status(404).json({ error: 'Playlist not found' });
   }
 
+  clearCover(playlist.id);
+  db.prepare('DELETE FROM playlists WHERE id = ?').run(playlist.id);
+
+  res.status(204).send();
+});
+
+// Get the playlist's cover image (local file, or a redirect for stock covers)
+router.get('/:id/cover', (req, res) => {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(req.params.id);
+
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (playlist.cover_path && fs.existsSync(playlist.cover_path)) {
+    return res.sendFile(playlist.cover_path);
+  }
+
+  if (playlist.cover_url) {
+    return res.redirect(playlist.cover_url);
+  }
+
+  res.status(404).json({ error: 'Playlist has no cover' });
+});
+
+// Upload a cover image (multipart field "image"); it's cropped to a square
+router.post('/:id/cover/upload', (req, res) => {
+  const playlistId = req.params.id;
+
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(playlistId);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  coverUpload.single('image')(req, res, async (err) => {
+    if (err) {
+      if (req.file) fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: 'Upload failed', details: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    try {
+      await saveCoverImage(playlistId, req.file.path, 'upload');
+      res.json(db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId));
+    } catch (error) {
+      res.status(400).json({ error: 'Failed to set cover', details: error.message });
+    } finally {
+      fs.rmSync(req.file.path, { force: true });
+    }
+  });
+});
+
+// Set the cover from a song's thumbnail ({ song_id }) or a stock MYO cover ({ stock })
+router.put('/:id/cover', async (req, res) => {
+  const playlistId = req.params.id;
+  const { song_id, stock } = req.body;
+
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(playlistId);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (stock) {
+    if (!isValidStockCoverName(stock)) {
+      return res.status(400).json({ error: 'Invalid stock cover name' });
+    }
+    setStockCover(playlistId, stock);
+  } else if (song_id) {
+    const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(song_id);
+    if (!song?.thumbnail) {
+      return res.status(400).json({ error: 'Song has no thumbnail' });
+    }
+
+    try {
+      await saveCoverFromUrl(playlistId, song.thumbnail, 'thumbnail');
+    } catch (error) {
+      return res.status(400).json({ error: 'Failed to set cover', details: error.message });
+    }
+  } else {
+    return res.status(400).json({ error: 'song_id or stock is required' });
+  }
+
+  res.json(db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId));
+});
+
+// Link the playlist to a YouTube playlist/channel/mix so it can be refreshed from it.
+// Videos in the source right now count as seen; only later additions get appended.
+router.put('/:id/source', async (req, res) => {
+  const { url, resync_yoto } = req.body;
+
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (!url || !isYouTubeUrl(url)) {
+    return res.status(400).json({ error: 'A YouTube playlist, channel or mix URL is required' });
+  }
+
+  try {
+    await linkPlaylistSource(playlist.id, url, { resyncYoto: !!resync_yoto });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to list playlist', details: error.message });
+  }
+
+  res.json(db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlist.id));
+});
+
+router.delete('/:id/source', (req, res) => {
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  unlinkPlaylistSource(playlist.id);
+  res.status(204).send();
+});
+
+// Refresh from the linked YouTube source: append new videos and flag removed/private ones.
+// resync_yoto overrides the playlist's setting for re-uploading the card afterwards.
+router.post('/:id/source/refresh', async (req, res) => {
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (!playlist.youtube_source_url) {
+    return res.status(400).json({ error: 'Playlist is not linked to a YouTube source' });
+  }
+
+  try {
+    const resyncYoto = req.body?.resync_yoto ?? !!playlist.youtube_resync_yoto;
+    res.json(await refreshPlaylistSource(playlist.id, { resyncYoto }));
+  } catch (error) {
+    console.error('Source refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh from YouTube', details: error.message });
+  }
+});
+
+// Remove the cover (cards go back to the default cover)
+router.delete('/:id/cover', (req, res) => {
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  clearCover(playlist.id);
   res.status(204).send();
 });
 
 // Add song to playlist
-router.post('/:id/songs', (req, res) => {
-  const { youtube_id, title, artist, duration, thumbnail } = req.body;
+// With split_chapters, a video with chapter markers is added as one song per chapter instead.
+router.post('/:id/songs', async (req, res) => {
+  const { song_id, youtube_id, title, artist, duration, thumbnail, split_chapters } = req.body;
   const playlistId = req.params.id;
 
   // Check playlist exists
@@ -94,16 +375,45 @@ router.post('/:id/songs', (req, res) => {
     return res.status(404).json({ error: 'Playlist not found' });
   }
 
-  // Get or create song in cache
-  let song = db.prepare('SELECT * FROM songs WHERE youtube_id = ?').get(youtube_id);
+  if (!song_id && (typeof youtube_id !== 'string' || !youtube_id.trim())) {
+    return res.status(400).json({ error: 'youtube_id (or song_id) is required' });
+  }
+  if (!song_id && (typeof title !== 'string' || !title.trim())) {
+    return res.status(400).json({ error: 'title is required' });
+  }
 
-  if (!song) {
-    const songId = uuidv4();
-    db.prepare(`
-      INSERT INTO songs (id, youtube_id, title, artist, duration, thumbnail)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(songId, youtube_id, title, artist || '', duration || 0, thumbnail || '');
-    song = db.prepare('SELECT * FROM songs WHERE id = ?').get(songId);
+  // A library song (e.g. a local search result)
+  const librarySong = song_id ? db.prepare('SELECT * FROM songs WHERE id = ?').get(song_id) : null;
+  if (song_id && !librarySong) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  // Read the chapter markers before anything is stored, so a video without them leaves no trace
+  let chapters;
+  if (split_chapters) {
+    const videoId = librarySong ? librarySong.youtube_id : youtube_id;
+    if (!videoId) {
+      return res.status(400).json({ error: 'Only YouTube videos can be split by chapters' });
+    }
+
+    try {
+      chapters = await getYouTubeChapters(videoId);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to read chapter markers', details: error.message });
+    }
+
+    if (chapters.length < 2) {
+      return res.status(400).json({ error: 'Video has no chapter markers to split by' });
+    }
+  }
+
+  // Otherwise get or create the YouTube song in cache
+  const song = librarySong || getOrCreateYouTubeSong({ youtube_id, title, artist, duration, thumbnail });
+
+  if (chapters) {
+    // The parts are downloaded by cutting the full video's audio (see the download job)
+    const { added, skipped } = appendSongs(playlistId, getOrCreateChapterParts(song, chapters));
+    return res.status(201).json({ songs: added, skipped: skipped.length });
   }
 
   // Check if already in playlist
@@ -133,6 +443,207 @@ router.post('/:id/songs', (req, res) => {
   res.status(201).json({ ...song, position: maxPos.max_pos + 1, playlist_song_id: psId });
 });
 
+// Import local audio files (multipart field "files") as songs at the end of the playlist
+router.post('/:id/songs/upload', (req, res) => {
+  const playlistId = req.params.id;
+
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(playlistId);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  upload.array('files')(req, res, async (err) => {
+    if (err) {
+      (req.files || []).forEach(f => fs.rmSync(f.path, { force: true }));
+      return res.status(400).json({ error: 'Upload failed', details: err.message });
+    }
+
+    if (!req.files?.length) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    // Files that ffprobe can't read (corrupt, or not audio despite the extension) fail the
+    // whole upload, and nothing is kept
+    const songs = [];
+    const unreadable = [];
+    for (const file of req.files) {
+      let info;
+      try {
+        info = await probeAudio(file.path);
+      } catch (probeError) {
+        console.warn(`Could not probe ${file.originalname}:`, probeError.message);
+      }
+      if (!info?.duration) {
+        unreadable.push(file.originalname);
+        continue;
+      }
+
+      songs.push({
+        id: file.songId,
+        title: info.title || path.basename(file.originalname, path.extname(file.originalname)),
+        artist: info.artist,
+        duration: info.duration,
+        filePath: file.path
+      });
+    }
+
+    if (unreadable.length > 0) {
+      req.files.forEach(f => fs.rmSync(f.path, { force: true }));
+      return res.status(400).json({ error: `Not a readable audio file: ${unreadable.join(', ')}` });
+    }
+
+    const insertSong = db.prepare(`
+      INSERT INTO songs (id, youtube_id, title, artist, duration, thumbnail, file_path, downloaded_at, source)
+      VALUES (?, NULL, ?, ?, ?, '', ?, CURRENT_TIMESTAMP, 'local')
+    `);
+    const insertEntry = db.prepare(`
+      INSERT INTO playlist_songs (id, playlist_id, song_id, position)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const added = db.transaction(() => {
+      const maxPos = db.prepare(`
+        SELECT COALESCE(MAX(position), -1) as max_pos FROM playlist_songs WHERE playlist_id = ?
+      `).get(playlistId);
+
+      return songs.map((song, index) => {
+        const psId = uuidv4();
+        const position = maxPos.max_pos + 1 + index;
+        insertSong.run(song.id, song.title, song.artist, song.duration, song.filePath);
+        insertEntry.run(psId, playlistId, song.id, position);
+
+        const row = db.prepare('SELECT * FROM songs WHERE id = ?').get(song.id);
+        return { ...row, position, playlist_song_id: psId };
+      });
+    })();
+
+    db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+
+    added.forEach(song => queueNormalize(song, playlistId));
+
+    res.status(201).json(added);
+  });
+});
+
+// Preview what the title cleanup rules would make of the playlist's song titles and artists
+router.get('/:id/title-cleanup', (req, res) => {
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  res.json({ songs: previewTitleCleanup(playlist.id) });
+});
+
+// Apply the cleanup to the playlist's songs (all that change, or just song_ids). This edits
+// the songs themselves, so other playlists with them see the new titles too.
+router.post('/:id/title-cleanup', (req, res) => {
+  const { song_ids } = req.body || {};
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (song_ids !== undefined && !Array.isArray(song_ids)) {
+    return res.status(400).json({ error: 'song_ids must be an array' });
+  }
+
+  const changes = previewTitleCleanup(playlist.id)
+    .filter(change => change.changed && (!song_ids || song_ids.includes(change.song_id)));
+
+  const update = db.prepare('UPDATE songs SET title = ?, artist = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const change of changes) {
+      update.run(change.after.title, change.after.artist, change.song_id);
+    }
+  })();
+
+  res.json({ updated: changes });
+});
+
+// Update a song's entry in the playlist (trim points, chapter icon, chapter, display title)
+router.patch('/:id/songs/:songId', (req, res) => {
+  const { id: playlistId, songId } = req.params;
+
+  const entry = db.prepare(`
+    SELECT ps.*, s.duration, s.source
+    FROM playlist_songs ps
+    JOIN songs s ON s.id = ps.song_id
+    WHERE ps.playlist_id = ? AND ps.song_id = ?
+  `).get(playlistId, songId);
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Song not found in playlist' });
+  }
+
+  // Omitted fields keep their value; null clears a trim point
+  const start = 'start_seconds' in req.body ? req.body.start_seconds : entry.start_seconds;
+  const end = 'end_seconds' in req.body ? req.body.end_seconds : entry.end_seconds;
+
+  const iconId = 'icon_id' in req.body ? req.body.icon_id : entry.icon_id;
+  const chapterId = 'chapter_id' in req.body ? req.body.chapter_id : entry.chapter_id;
+
+  // A display title overrides the song's title in this playlist only ('' or null clears it)
+  const displayTitle = 'display_title' in req.body ? req.body.display_title : entry.display_title;
+  if (displayTitle != null && typeof displayTitle !== 'string') {
+    return res.status(400).json({ error: 'display_title must be a string' });
+  }
+
+  // Remote-only tracks have no local audio to cut
+  if (entry.source === 'yoto' && (start != null || end != null)) {
+    return res.status(400).json({ error: 'Remote-only tracks can\'t be trimmed' });
+  }
+
+  const error = validateTrim(start, end, entry.duration);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (iconId && !db.prepare('SELECT id FROM icons WHERE id = ?').get(iconId)) {
+    return res.status(400).json({ error: 'Icon not found' });
+  }
+
+  if (chapterId && !db.prepare('SELECT id FROM chapters WHERE id = ? AND playlist_id = ?').get(chapterId, playlistId)) {
+    return res.status(400).json({ error: 'Chapter not found in playlist' });
+  }
+
+  db.prepare(`
+    UPDATE playlist_songs SET start_seconds = ?, end_seconds = ?, icon_id = ?, display_title = ? WHERE id = ?
+  `).run(start ?? null, end ?? null, iconId || null, displayTitle?.trim() || null, entry.id);
+
+  // The cut for the old trim points is stale now, unless another playlist uses the same cut
+  const trimChanged = (start ?? null) !== entry.start_seconds || (end ?? null) !== entry.end_seconds;
+  const cutShared = db.prepare(`
+    SELECT 1 FROM playlist_songs WHERE song_id = ? AND start_seconds IS ? AND end_seconds IS ?
+  `).get(entry.song_id, entry.start_seconds, entry.end_seconds);
+  if (trimChanged && !cutShared) {
+    const songRow = db.prepare('SELECT * FROM songs WHERE id = ?').get(entry.song_id);
+    removeTrimmedCopy({ ...songRow, start_seconds: entry.start_seconds, end_seconds: entry.end_seconds });
+  }
+
+  // Moving to another chapter appends the entry to the end of that chapter
+  if ((chapterId || null) !== entry.chapter_id) {
+    db.prepare(`
+      UPDATE playlist_songs
+      SET chapter_id = ?, position = (SELECT MAX(position) + 1 FROM playlist_songs WHERE playlist_id = ?)
+      WHERE id = ?
+    `).run(chapterId || null, playlistId, entry.id);
+    normalizeEntryOrder(playlistId);
+  }
+
+  db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+
+  const song = db.prepare(`
+    SELECT s.*, ps.position, ps.id as playlist_song_id, ps.start_seconds, ps.end_seconds, ps.icon_id,
+           ps.chapter_id, ps.display_title
+    FROM songs s
+    JOIN playlist_songs ps ON s.id = ps.song_id
+    WHERE ps.id = ?
+  `).get(entry.id);
+
+  res.json(song);
+});
+
 // Remove song from playlist
 router.delete('/:id/songs/:songId', (req, res) => {
   const { id: playlistId, songId } = req.params;
@@ -177,9 +688,166 @@ router.put('/:id/reorder', (req, res) => {
 
   transaction();
 
+  // Songs stay in their chapters; reordering only applies within them
+  normalizeEntryOrder(playlistId);
+
   db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
 
   res.json({ success: true });
 });
 
+// Get chapters (with their song ids in track order)
+router.get('/:id/chapters', (req, res) => {
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(req.params.id);
+
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  res.json(getChapters(playlist.id));
+});
+
+// Create a chapter at the end, optionally with songs and an icon
+router.post('/:id/chapters', (req, res) => {
+  const { title, icon_id, song_ids } = req.body;
+  const playlistId = req.params.id;
+
+  const playlist = db.prepare('SELECT id FROM playlists WHERE id = ?').get(playlistId);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  if (!title) {
+    return res.status(400).json({ error: 'Chapter title is required' });
+  }
+
+  if (icon_id && !db.prepare('SELECT id FROM icons WHERE id = ?').get(icon_id)) {
+    return res.status(400).json({ error: 'Icon not found' });
+  }
+
+  const maxPos = db.prepare(`
+    SELECT COALESCE(MAX(position), -1) as max_pos FROM chapters WHERE playlist_id = ?
+  `).get(playlistId);
+
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO chapters (id, playlist_id, title, icon_id, position)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, playlistId, title, icon_id || null, maxPos.max_pos + 1);
+
+  if (Array.isArray(song_ids)) {
+    setChapterSongs(playlistId, id, song_ids);
+  } else {
+    normalizeEntryOrder(playlistId);
+  }
+
+  db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+
+  res.status(201).json(getChapters(playlistId).find(c => c.id === id));
+});
+
+// Reorder chapters
+router.put('/:id/chapters/reorder', (req, res) => {
+  const { chapterIds } = req.body; // Array of chapter IDs in new order
+  const playlistId = req.params.id;
+
+  if (!Array.isArray(chapterIds)) {
+    return res.status(400).json({ error: 'chapterIds must be an array' });
+  }
+
+  renumberChapters(playlistId, chapterIds);
+
+  db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+
+  res.json({ success: true });
+});
+
+// Update a chapter's title, icon or songs (song_ids replaces its tracks, in order)
+router.patch('/:id/chapters/:chapterId', (req, res) => {
+  const { id: playlistId, chapterId } = req.params;
+  const { title, icon_id, song_ids } = req.body;
+
+  const chapter = db.prepare('SELECT * FROM chapters WHERE id = ? AND playlist_id = ?').get(chapterId, playlistId);
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  if (icon_id && !db.prepare('SELECT id FROM icons WHERE id = ?').get(icon_id)) {
+    return res.status(400).json({ error: 'Icon not found' });
+  }
+
+  db.prepare(`
+    UPDATE chapters SET title = ?, icon_id = ? WHERE id = ?
+  `).run(title || chapter.title, 'icon_id' in req.body ? icon_id || null : chapter.icon_id, chapterId);
+
+  if (Array.isArray(song_ids)) {
+    setChapterSongs(playlistId, chapterId, song_ids);
+  }
+
+  db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+
+  res.json(getChapters(playlistId).find(c => c.id === chapterId));
+});
+
+// Delete a chapter (its songs stay in the playlist, unassigned)
+router.delete('/:id/chapters/:chapterId', (req, res) => {
+  const { id: playlistId, chapterId } = req.params;
+
+  const result = db.prepare('DELETE FROM chapters WHERE id = ? AND playlist_id = ?').run(chapterId, playlistId);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  renumberChapters(playlistId);
+
+  db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+
+  res.status(204).send();
+});
+
+// Returns an error message for invalid trim points, or null
+function validateTrim(start, end, duration) {
+  for (const [name, value] of [['start_seconds', start], ['end_seconds', end]]) {
+    if (value != null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `${name} must be a non-negative number of seconds`;
+    }
+  }
+
+  if (start != null && end != null && end <= start) {
+    return 'end_seconds must be after start_seconds';
+  }
+
+  if (duration > 0 && start != null && start >= duration) {
+    return 'start_seconds must be before the end of the song';
+  }
+
+  if (duration > 0 && end != null && end > duration) {
+    return `end_seconds can't be past the end of the song (${duration}s)`;
+  }
+
+  return null;
+}
+
+function previewTitleCleanup(playlistId) {
+  const rules = getTitleRules();
+  return db.prepare(`
+    SELECT s.id, s.title, s.artist, s.parent_song_id, s.source
+    FROM songs s
+    JOIN playlist_songs ps ON s.id = ps.song_id
+    WHERE ps.playlist_id = ?
+    ORDER BY ps.position
+  `).all(playlistId).map(song => {
+    // Chapter names and Yoto track titles aren't "Artist - Title"
+    const split = !song.parent_song_id && song.source !== 'yoto';
+    const after = cleanSongInfo(song, rules, { split });
+    return {
+      song_id: song.id,
+      before: { title: song.title, artist: song.artist || '' },
+      after,
+      changed: after.title !== song.title || after.artist !== (song.artist || '')
+    };
+  });
+}
+
 export default router;
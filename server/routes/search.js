@@ -1,92 +1,116 @@
 import { Router } from 'express';
-import { spawn } from 'child_process';
+import { db } from '../lib/db.js';
+import { searchYouTube, isYouTubeUrl, listYouTubePlaylist } from '../lib/youtube.js';
+import { searchLibrary, markLibrarySongs } from '../lib/songs.js';
 
 const router = Router();
 
-// Search YouTube using yt-dlp
+const SEARCH_SCOPES = ['local', 'youtube', 'both'];
+const MAX_SEARCH_PAGE = 50;
+// How deep into YouTube's results paging can go (yt-dlp fetches every page up to offset + limit)
+const MAX_SEARCH_DEPTH = 500;
+
+// Search YouTube using yt-dlp, the local library (scope=local, no network needed) or both.
+// Results carry local (from the library) and downloaded flags; with scope=both, library
+// songs come first and YouTube results repeating them are dropped. Page with offset and limit;
+// the response is { results, offset, limit, next_offset (null on the last page), cached }.
 router.get('/', async (req, res) => {
-  const { q, limit = 10 } = req.query;
+  const { q, scope = 'youtube' } = req.query;
 
   if (!q) {
     return res.status(400).json({ error: 'Search query required' });
   }
-
-  try {
-    const results = await searchYouTube(q, parseInt(limit));
-    res.json(results);
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed', details: error.message });
+  if (!SEARCH_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of: ${SEARCH_SCOPES.join(', ')}` });
   }
-});
-
-function searchYouTube(query, limit) {
-  return new Promise((resolve, reject) => {
-    const args = [
-      `ytsearch${limit}:${query}`,
-      '--dump-json',
-      '--flat-playlist',
-      '--no-warnings',
-      '--ignore-errors'
-    ];
 
-    const ytdlp = spawn('yt-dlp', args);
-    let stdout = '';
-    let stderr = '';
-
-    ytdlp.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_SEARCH_PAGE);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  if (scope !== 'local' && offset + limit > MAX_SEARCH_DEPTH) {
+    return res.status(400).json({ error: `Can't page past the first ${MAX_SEARCH_DEPTH} YouTube results` });
+  }
 
-    ytdlp.stderr.on('data', (data) => {
-      stderr += data.toString();
+  if (scope === 'local') {
+    // One extra to tell whether there's another page
+    const local = searchLibrary(q, { offset, limit: limit + 1 });
+    return res.json({
+      results: local.slice(0, limit),
+      offset,
+      limit,
+      next_offset: local.length > limit ? offset + limit : null,
+      cached: false
     });
+  }
 
-    ytdlp.on('close', (code) => {
-      if (code !== 0 && !stdout) {
-        reject(new Error(stderr || `yt-dlp exited with code ${code}`));
-        return;
-      }
-
-      try {
-        // yt-dlp outputs one JSON object per line
-        const results = stdout
-          .trim()
-          .split('\n')
-          .filter(line => line.trim())
-          .map(line => {
-            const data = JSON.parse(line);
-            return {
-              youtube_id: data.id,
-              title: data.title,
-              artist: data.uploader || data.channel || '',
-              duration: data.duration || 0,
-              thumbnail: getBestThumbnail(data.thumbnails),
-              url: data.url || `https://www.youtube.com/watch?v=${data.id}`
-            };
-          });
+  // With scope=both the pages walk one list: every library match, then the YouTube results
+  // that aren't among them. Offsets past the library matches index into that YouTube remainder.
+  const local = scope === 'both' ? searchLibrary(q, { limit: MAX_SEARCH_DEPTH }) : [];
+  const localIds = new Set(local.map(song => song.youtube_id).filter(Boolean));
+  const end = offset + limit;
+  const page = {
+    results: local.slice(offset, end),
+    offset,
+    limit,
+    next_offset: local.length > end ? end : null,
+    cached: false
+  };
+  const youtubeEnd = end - local.length;
+  if (youtubeEnd <= 0) {
+    return res.json(page);
+  }
 
-        resolve(results);
-      } catch (parseError) {
-        reject(new Error(`Failed to parse results: ${parseError.message}`));
-      }
+  let youtube;
+  try {
+    // Fetch enough to make up for library songs that get dropped
+    youtube = await searchYouTube(q, {
+      offset: 0,
+      limit: Math.min(youtubeEnd + localIds.size, MAX_SEARCH_DEPTH)
     });
+  } catch (error) {
+    console.error('Search error:', error);
+    // Offline: what we have locally is still worth showing
+    if (scope === 'both') return res.json({ ...page, youtube_error: error.message });
+    return res.status(500).json({ error: 'Search failed', details: error.message });
+  }
 
-    ytdlp.on('error', (error) => {
-      reject(new Error(`Failed to start yt-dlp: ${error.message}. Is yt-dlp installed?`));
-    });
+  const remaining = markLibrarySongs(youtube.results).filter(result => !localIds.has(result.youtube_id));
+  res.json({
+    ...page,
+    results: [...page.results, ...remaining.slice(Math.max(offset - local.length, 0), youtubeEnd)],
+    next_offset: remaining.length > youtubeEnd || youtube.hasMore ? end : null,
+    cached: youtube.cached
   });
-}
+});
 
-function getBestThumbnail(thumbnails) {
-  if (!thumbnails || !thumbnails.length) return '';
+// Preview the videos of a YouTube playlist, channel or mix URL before importing them.
+// With playlist_id, items already in that playlist are flagged.
+router.get('/playlist', async (req, res) => {
+  const { url, playlist_id, limit = 200 } = req.query;
 
-  // Prefer medium-sized thumbnails for performance
-  const preferred = thumbnails.find(t => t.width >= 320 && t.width <= 640);
-  if (preferred) return preferred.url;
+  if (!url || !isYouTubeUrl(url)) {
+    return res.status(400).json({ error: 'A YouTube playlist, channel or mix URL is required' });
+  }
 
-  // Fall back to last (usually highest quality)
-  return thumbnails[thumbnails.length - 1]?.url || '';
-}
+  let list;
+  try {
+    list = await listYouTubePlaylist(url, { limit: Math.min(Math.max(parseInt(limit) || 200, 1), 1000) });
+  } catch (error) {
+    console.error('Playlist listing error:', error);
+    return res.status(500).json({ error: 'Failed to list playlist', details: error.message });
+  }
+
+  const existing = new Set(playlist_id
+    ? db.prepare(`
+        SELECT s.youtube_id FROM songs s
+        JOIN playlist_songs ps ON s.id = ps.song_id
+        WHERE ps.playlist_id = ?
+      `).all(playlist_id).map(s => s.youtube_id)
+    : []);
+
+  res.json({
+    ...list,
+    items: list.items.map(item => ({ ...item, in_playlist: existing.has(item.youtube_id) }))
+  });
+});
 
 export default router;
@@ -0,0 +1,227 @@
+import { Router } from 'express';
+import fs from 'fs';
+import { db } from '../lib/db.js';
+import { getTitleRules, saveTitleRules, DEFAULT_TITLE_RULES } from '../lib/titles.js';
+import { removeTrimmedCopies } from '../lib/trim.js';
+import { findActiveJob, cancelJob } from '../lib/jobs.js';
+
+const router = Router();
+
+// Library sort keys (?sort=) and the SQL they order by
+const SORT_COLUMNS = {
+  title: 's.title COLLATE NOCASE',
+  artist: 's.artist COLLATE NOCASE',
+  duration: 's.duration',
+  added: 's.created_at',
+  downloaded: 's.downloaded_at',
+  usage: 'playlist_count'
+};
+
+const SOURCES = ['youtube', 'local', 'yoto'];
+const MAX_PAGE_SIZE = 200;
+
+// Browse every song we know about (downloaded, imported or remote-only), with the playlists
+// using each. Query: page, limit, sort (see SORT_COLUMNS), order (asc/desc), downloaded
+// (true/false), source, min_duration / max_duration (seconds), unused (true = in no playlist).
+router.get('/', (req, res) => {
+  const {
+    page = 1, limit = 50, sort = 'added', order, downloaded, source, min_duration, max_duration, unused
+  } = req.query;
+
+  if (!SORT_COLUMNS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` });
+  }
+  if (source && !SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${SOURCES.join(', ')}` });
+  }
+
+  const where = [];
+  const params = [];
+  if (downloaded === 'true' || downloaded === 'false') {
+    where.push(`s.file_path IS ${downloaded === 'true' ? 'NOT NULL' : 'NULL'}`);
+  }
+  if (source) {
+    where.push("COALESCE(s.source, 'youtube') = ?");
+    params.push(source);
+  }
+  if (min_duration !== undefined && Number.isFinite(parseFloat(min_duration))) {
+    where.push('s.duration >= ?');
+    params.push(parseFloat(min_duration));
+  }
+  if (max_duration !== undefined && Number.isFinite(parseFloat(max_duration))) {
+    where.push('s.duration <= ?');
+    params.push(parseFloat(max_duration));
+  }
+  if (unused === 'true') {
+    where.push('NOT EXISTS (SELECT 1 FROM playlist_songs ps WHERE ps.song_id = s.id)');
+  }
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  // Newest first unless asked otherwise; names read best A-Z
+  const direction = (order || (['title', 'artist'].includes(sort) ? 'asc' : 'desc')) === 'asc' ? 'ASC' : 'DESC';
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM songs s ${whereSql}`).get(...params);
+  const songs = db.prepare(`
+    SELECT s.*,
+           (SELECT COUNT(*) FROM playlist_songs ps WHERE ps.song_id = s.id) as playlist_count
+    FROM songs s
+    ${whereSql}
+    ORDER BY ${SORT_COLUMNS[sort]} ${direction}, s.rowid
+    LIMIT ? OFFSET ?
+  `).all(...params, pageSize, (pageNumber - 1) * pageSize);
+
+  res.json({
+    songs: withPlaylists(songs),
+    total,
+    page: pageNumber,
+    limit: pageSize
+  });
+});
+
+// Title cleanup rules applied to songs as they're added (see lib/titles.js)
+router.get('/title-rules', (req, res) => {
+  res.json({ rules: getTitleRules(), defaults: DEFAULT_TITLE_RULES });
+});
+
+// Replace the rules (omitted fields keep their defaults)
+router.put('/title-rules', (req, res) => {
+  try {
+    res.json({ rules: saveTitleRules(req.body || {}) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Go back to the default rules
+router.delete('/title-rules', (req, res) => {
+  res.json({ rules: saveTitleRules(null) });
+});
+
+router.get('/:id', (req, res) => {
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(req.params.id);
+
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  res.json(withPlaylists([song])[0]);
+});
+
+// Edit a song's title and/or artist everywhere it's used (a playlist entry's display_title
+// still takes precedence within that playlist)
+router.patch('/:id', (req, res) => {
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(req.params.id);
+
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  // Omitted fields keep their value
+  const title = 'title' in req.body ? req.body.title : song.title;
+  const artist = 'artist' in req.body ? req.body.artist : song.artist;
+
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ error: 'title must be a non-empty string' });
+  }
+  if (artist != null && typeof artist !== 'string') {
+    return res.status(400).json({ error: 'artist must be a string' });
+  }
+
+  db.prepare('UPDATE songs SET title = ?, artist = ? WHERE id = ?')
+    .run(title.trim(), (artist || '').trim(), song.id);
+
+  res.json(db.prepare('SELECT * FROM songs WHERE id = ?').get(song.id));
+});
+
+// Delete a song from the library: its files and every playlist entry using it (chapter parts
+// cut from it go too). Unless it's unused, ?confirm= must be the number of playlist entries
+// that will be removed; otherwise the response is a 409 with that number and where they are.
+router.delete('/:id', (req, res) => {
+  const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(req.params.id);
+
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  const songs = [song, ...db.prepare('SELECT * FROM songs WHERE parent_song_id = ?').all(song.id)];
+  const songIds = songs.map(s => s.id);
+  const entries = db.prepare(`
+    SELECT ps.playlist_id, p.name as playlist_name, ps.song_id
+    FROM playlist_songs ps
+    JOIN playlists p ON p.id = ps.playlist_id
+    WHERE ps.song_id IN (${songIds.map(() => '?').join(', ')})
+  `).all(...songIds);
+
+  if (entries.length > 0 && parseInt(req.query.confirm) !== entries.length) {
+    return res.status(409).json({
+      error: `Song is used ${entries.length} time(s) in playlists. Pass confirm=${entries.length} to delete it anyway.`,
+      confirm: entries.length,
+      playlists: summarizePlaylists(entries)
+    });
+  }
+
+  for (const s of songs) {
+    const job = findActiveJob('download', s.id);
+    if (job) cancelJob(job.id);
+  }
+
+  const playlistIds = [...new Set(entries.map(e => e.playlist_id))];
+  db.transaction(() => {
+    // Deleting the song cascades to its parts, playlist entries, jobs and upload records
+    db.prepare('DELETE FROM songs WHERE id = ?').run(song.id);
+
+    const renumber = db.prepare('UPDATE playlist_songs SET position = ? WHERE id = ?');
+    for (const playlistId of playlistIds) {
+      db.prepare('SELECT id FROM playlist_songs WHERE playlist_id = ? ORDER BY position').all(playlistId)
+        .forEach((entry, index) => renumber.run(index, entry.id));
+      db.prepare('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(playlistId);
+    }
+  })();
+
+  for (const s of songs) {
+    for (const filePath of [s.file_path, s.normalized_path]) {
+      if (filePath) fs.rmSync(filePath, { force: true });
+    }
+    removeTrimmedCopies(s.id);
+  }
+
+  res.json({
+    deleted: songIds,
+    removedEntries: entries.length,
+    playlists: summarizePlaylists(entries)
+  });
+});
+
+// Attach the playlists each song is in ([{ id, name, count }])
+function withPlaylists(songs) {
+  if (songs.length === 0) return songs;
+
+  const rows = db.prepare(`
+    SELECT ps.song_id, ps.playlist_id, p.name as playlist_name
+    FROM playlist_songs ps
+    JOIN playlists p ON p.id = ps.playlist_id
+    WHERE ps.song_id IN (${songs.map(() => '?').join(', ')})
+    ORDER BY p.name COLLATE NOCASE
+  `).all(...songs.map(s => s.id));
+
+  return songs.map(song => ({
+    ...song,
+    downloaded: !!song.file_path && fs.existsSync(song.file_path),
+    playlists: summarizePlaylists(rows.filter(row => row.song_id === song.id))
+  }));
+}
+
+function summarizePlaylists(entries) {
+  const playlists = new Map();
+  for (const entry of entries) {
+    const playlist = playlists.get(entry.playlist_id)
+      || { id: entry.playlist_id, name: entry.playlist_name, count: 0 };
+    playlist.count++;
+    playlists.set(entry.playlist_id, playlist);
+  }
+  return [...playlists.values()];
+}
+
+export default router;
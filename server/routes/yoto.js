@@ -3,7 +3,18 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
 import { db } from '../lib/db.js';
+import { getAudioMimeType } from '../lib/audio.js';
+import { getSongAudioPath } from '../lib/loudness.js';
+import { prepareEntryAudio, getEntryAudioPath, getEntryDuration } from '../lib/trim.js';
+import { getEntryTitle } from '../lib/songs.js';
+import { cleanIncomingSongInfo } from '../lib/titles.js';
+import { DEFAULT_COVER_URL, getStockCovers, rememberStockCovers, stockCoverUrl } from '../lib/covers.js';
+import { getChapters } from '../lib/chapters.js';
+import { validatePlaylist, partitionEntries, CARD_SPLIT_MODES } from '../lib/validation.js';
+import { getPlaylistCards, findPlaylistByCard, saveCardPart, removeCardPartsFrom } from '../lib/cards.js';
+import { registerJobHandler, enqueueJob, getJob, waitForJob, jobEvents } from '../lib/jobs.js';
 import { YotoClient, DEFAULT_CLIENT_ID } from 'yoto-nodejs-client';
 
 const router = Router();
@@ -225,6 +236,7 @@ router.get('/cards', async (req, res) => {
 
   try {
     const data = await client.getUserMyoContent();
+    rememberStockCovers((data?.cards || []).map(card => card.metadata?.cover?.imageL));
     res.json(data);
   } catch (error) {
     console.error('Yoto cards error:', error);
@@ -248,6 +260,46 @@ router.get('/cards/:cardId', async (req, res) => {
   }
 });
 
+// Import a card as a new local playlist. Tracks whose audio we uploaded before map back to
+// their local songs; the rest become remote-only songs that keep the card's yoto:# key.
+router.post('/cards/:cardId/import', async (req, res) => {
+  const { cardId } = req.params;
+  const client = getYotoClient();
+  if (!client) {
+    return res.status(401).json({ error: 'Yoto not connected. Please login first.' });
+  }
+
+  const existing = findPlaylistByCard(cardId);
+  if (existing) {
+    return res.status(409).json({ error: 'Card is already linked to a playlist', playlistId: existing });
+  }
+
+  let card;
+  try {
+    const data = await client.getContent({ cardId });
+    card = data.card || data;
+  } catch (error) {
+    console.error('Yoto card error:', error);
+    return res.status(500).json({ error: 'Failed to fetch Yoto card', details: error.message });
+  }
+
+  const { playlistId, imported, remoteOnly, skipped } = importCard({ ...card, cardId });
+
+  res.status(201).json({
+    playlist: db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId),
+    imported,
+    remoteOnly,
+    skipped
+  });
+});
+
+// List stock MYO covers that can be used without uploading an image
+router.get('/covers/stock', (req, res) => {
+  res.json({
+    covers: getStockCovers().map(name => ({ name, url: stockCoverUrl(name) }))
+  });
+});
+
 // Upload a single track to Yoto
 router.post('/upload-track', async (req, res) => {
   const { songId } = req.body;
@@ -267,7 +319,7 @@ router.post('/upload-track', async (req, res) => {
   }
 
   try {
-    const result = await uploadAudioToYoto(song.file_path, creds.accessToken);
+    const result = await uploadSongToYoto(song, getSongAudioPath(song), creds.accessToken);
     res.json({ success: true, ...result });
   } catch (error) {
     console.error('Upload track error:', error);
@@ -275,10 +327,34 @@ router.post('/upload-track', async (req, res) => {
   }
 });
 
-// Upload entire playlist to Yoto as a new card (with SSE progress)
+// Preview what an upload would change on the playlist's existing card(s). Uploading over an
+// existing card needs the returned confirmToken, which goes stale if either side changes.
+// The upload routes and this one take split ('duration', 'chapters' or 'off') to spread the
+// playlist over several cards; it's remembered once an upload starts.
+router.get('/upload-playlist/:playlistId/preview', async (req, res) => {
+  const check = checkPlaylistUploadable(req.params.playlistId, req.query.split);
+  if (check.error) {
+    const { status, ...error } = check.error;
+    return res.status(status).json(error);
+  }
+
+  if (getPlaylistCards(check.playlist.id).length === 0) {
+    return res.status(400).json({ error: 'Playlist has no Yoto card yet; uploading will create one' });
+  }
+
+  try {
+    res.json(await previewCardUpdate(check.playlist));
+  } catch (error) {
+    console.error('Yoto card preview error:', error);
+    res.status(502).json({ error: 'Failed to fetch Yoto card', details: error.message });
+  }
+});
+
+// Upload entire playlist to Yoto as a card (with SSE progress).
+// The upload runs as a background session; this stream only reports on it. Reopening it
+// reattaches to a running session, or continues the playlist's last failed session.
 router.get('/upload-playlist/:playlistId/stream', async (req, res) => {
   const { playlistId } = req.params;
-  const creds = getStoredCredentials();
 
   // Set up SSE
   res.setHeader('Content-Type', 'text/event-stream');
@@ -286,109 +362,292 @@ router.get('/upload-playlist/:playlistId/stream', async (req, res) => {
   res.setHeader('Connection', 'keep-alive');
 
   const sendEvent = (data) => {
-    console.log('[Yoto]', data.type, data.message || data.error || data.title || '');
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
-  if (!creds) {
-    sendEvent({ type: 'error', error: 'Yoto not connected. Please login first.' });
+  const check = checkPlaylistUploadable(playlistId, req.query.split);
+  if (check.error) {
+    sendEvent({ type: 'error', ...check.error });
     res.end();
     return;
   }
 
-  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
-  if (!playlist) {
-    sendEvent({ type: 'error', error: 'Playlist not found' });
+  const active = getActiveUploadSession(playlistId);
+  const confirmed = active ? {} : await checkCardUpdateConfirmed(check.playlist, req.query.confirm);
+  if (confirmed.error) {
+    sendEvent({ type: 'error', ...confirmed.error });
     res.end();
     return;
   }
 
-  const songs = db.prepare(`
-    SELECT s.*, ps.position
-    FROM songs s
-    JOIN playlist_songs ps ON s.id = ps.song_id
-    WHERE ps.playlist_id = ?
-    ORDER BY ps.position
-  `).all(playlistId);
+  const session = active || startPlaylistUpload(check.playlist);
 
-  const notDownloaded = songs.filter(s => !s.file_path || !fs.existsSync(s.file_path));
-  if (notDownloaded.length > 0) {
-    sendEvent({ type: 'error', error: 'Some songs not downloaded', missing: notDownloaded.map(s => s.title) });
-    res.end();
-    return;
+  streamUploadSession(session.id, req, sendEvent, () => res.end());
+});
+
+// Upload entire playlist to Yoto as a card (non-streaming fallback)
+router.post('/upload-playlist/:playlistId', async (req, res) => {
+  const { playlistId } = req.params;
+
+  const check = checkPlaylistUploadable(playlistId, req.body?.split);
+  if (check.error) {
+    const { status, ...error } = check.error;
+    return res.status(status).json(error);
   }
 
+  const active = getActiveUploadSession(playlistId);
+  const confirmed = active ? {} : await checkCardUpdateConfirmed(check.playlist, req.body?.confirm);
+  if (confirmed.error) {
+    const { status, ...error } = confirmed.error;
+    return res.status(status).json(error);
+  }
+
+  const session = active || startPlaylistUpload(check.playlist);
+
+  const job = await waitForJob(session.job_id);
+  if (job.status !== 'completed') {
+    return res.status(500).json({
+      error: 'Failed to upload playlist',
+      details: job.error,
+      session: getUploadSession(session.id)
+    });
+  }
+
+  res.json({ success: true, ...job.result });
+});
+
+// List upload sessions (optionally for one playlist)
+router.get('/upload-sessions', (req, res) => {
+  const { playlist_id } = req.query;
+
+  const sessions = playlist_id
+    ? db.prepare('SELECT * FROM upload_sessions WHERE playlist_id = ? ORDER BY rowid DESC').all(playlist_id)
+    : db.prepare('SELECT * FROM upload_sessions ORDER BY rowid DESC LIMIT 100').all();
+
+  res.json({ sessions });
+});
+
+// Get an upload session with its per-track state
+router.get('/upload-sessions/:sessionId', (req, res) => {
+  const session = getUploadSession(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  res.json(session);
+});
+
+// Reattach to an upload session's progress (SSE)
+router.get('/upload-sessions/:sessionId/stream', (req, res) => {
+  const session = getUploadSession(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  streamUploadSession(session.id, req, (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }, () => res.end());
+});
+
+// Continue a failed upload session, skipping tracks that were already transcoded
+router.post('/upload-sessions/:sessionId/resume', async (req, res) => {
+  const session = getUploadSession(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  if (session.status !== 'failed') {
+    return res.status(400).json({ error: `Upload session is ${session.status}, only failed sessions can be resumed` });
+  }
+
+  const check = checkPlaylistUploadable(session.playlist_id, req.body?.split);
+  if (check.error) {
+    const { status, ...error } = check.error;
+    return res.status(status).json(error);
+  }
+
+  const confirmed = await checkCardUpdateConfirmed(check.playlist, req.body?.confirm);
+  if (confirmed.error) {
+    const { status, ...error } = confirmed.error;
+    return res.status(status).json(error);
+  }
+
+  db.prepare('UPDATE playlists SET card_split = ? WHERE id = ?').run(check.playlist.card_split || null, check.playlist.id);
+  resumeUploadSession(session.id);
+  res.json(getUploadSession(session.id));
+});
+
+// ============================================================================
+// Upload Sessions
+// ============================================================================
+
+// Background job: upload a session's tracks, then create/update the card
+registerJobHandler('yoto-upload', async (job, { signal, emit }) => {
+  const { sessionId } = job.payload;
+
+  const send = (data) => {
+    console.log('[Yoto]', data.type, data.message || data.error || data.title || '');
+    emit(data);
+  };
+
   try {
-    const tracks = [];
-    const errors = [];
+    return await runUploadSession(sessionId, signal, send);
+  } catch (error) {
+    updateUploadSession(sessionId, { status: 'failed', error: error.message });
+    throw error;
+  }
+});
 
-    for (let i = 0; i < songs.length; i++) {
-      const song = songs[i];
-      sendEvent({ type: 'upload-start', current: i + 1, total: songs.length, title: song.title });
+// Background job: push a playlist to its existing card without the preview/confirm step.
+// Queued by YouTube source refreshes the user opted into; cards edited in the Yoto app
+// since our last push are left alone.
+registerJobHandler('yoto-sync', async (job) => {
+  const check = checkPlaylistUploadable(job.playlist_id);
+  if (check.error) {
+    throw new Error(check.error.error);
+  }
+  if (getPlaylistCards(job.playlist_id).length === 0) {
+    throw new Error('Playlist has no Yoto card to sync');
+  }
 
-      try {
-        const result = await uploadAudioToYoto(song.file_path, creds.accessToken, (msg) => {
-          sendEvent({ type: 'log', message: msg });
-        });
-        tracks.push({
-          title: song.title,
-          trackNumber: i + 1,
-          key: result.key,
-          duration: song.duration,
-          format: 'mp3'
-        });
-        sendEvent({ type: 'upload-complete', current: i + 1, total: songs.length, title: song.title });
-      } catch (err) {
-        errors.push({ title: song.title, error: err.message });
-        sendEvent({ type: 'upload-error', current: i + 1, total: songs.length, title: song.title, error: err.message });
-      }
+  const preview = await previewCardUpdate(check.playlist);
+  if (preview.remoteEdited) {
+    throw new Error('A card was edited in the Yoto app since the last upload. Review the changes and upload it manually.');
+  }
+  if (preview.unchanged) {
+    return { unchanged: true };
+  }
+
+  const session = getActiveUploadSession(job.playlist_id) || startPlaylistUpload(check.playlist);
+
+  return { sessionId: session.id };
+});
+
+async function runUploadSession(sessionId, signal, send) {
+  const creds = getStoredCredentials();
+  if (!creds) {
+    throw new Error('Yoto not connected. Please login first.');
+  }
+
+  const session = getUploadSession(sessionId);
+  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(session.playlist_id);
+  if (!playlist) {
+    throw new Error('Playlist not found');
+  }
+
+  updateUploadSession(sessionId, { status: 'running', error: null });
+
+  const updateTrack = db.prepare(`
+    UPDATE upload_session_tracks
+    SET status = ?, upload_id = ?, transcoded_key = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  const total = session.tracks.length;
+  const errors = [];
+
+  for (let i = 0; i < total; i++) {
+    const track = session.tracks[i];
+
+    if (track.status === 'transcoded') {
+      send({ type: 'upload-complete', current: i + 1, total, title: track.title, skipped: true });
+      continue;
     }
 
-    if (tracks.length === 0) {
-      sendEvent({ type: 'error', error: 'All uploads failed', errors });
-      res.end();
-      return;
+    if (signal.aborted) {
+      throw new Error('Upload cancelled');
     }
 
-    const isUpdate = !!playlist.yoto_card_id;
-    sendEvent({ type: 'log', message: isUpdate ? 'Updating Yoto card...' : 'Creating Yoto card...' });
-
-    // Yoto content structure based on blast-hardcheese/Yoto-Music
-    const content = {
-      title: playlist.name,
-      content: {
-        activity: 'yoto_Player',
-        chapters: tracks.map((t, i) => ({
-          key: String(i).padStart(2, '0'),
-          title: t.title,
-          tracks: [{
-            key: '01',
-            title: t.title,
-            format: 'aac',
-            trackUrl: `yoto:#${t.key}`,
-            type: 'audio',
-            duration: t.duration || 0
-          }]
-        })),
-        config: {
-          onlineOnly: false
-        },
-        version: '1'
-      },
-      metadata: {
-        cover: {
-          imageL: 'https://cdn.yoto.io/myo-cover/star_grapefruit.gif'
-        }
-      },
-      userId: creds.userId
-    };
+    send({ type: 'upload-start', current: i + 1, total, title: track.title });
+    const log = (msg) => send({ type: 'log', message: msg });
+
+    // Tracks already on S3 from an earlier attempt only need their transcode polled
+    let uploadId = track.status === 'uploaded' ? track.upload_id : null;
+
+    try {
+      const song = db.prepare('SELECT * FROM songs WHERE id = ?').get(track.song_id);
+      if (!song?.file_path || !fs.existsSync(song.file_path)) {
+        throw new Error('Song file not found on disk');
+      }
 
-    // Include cardId for updates
-    if (playlist.yoto_card_id) {
-      content.cardId = playlist.yoto_card_id;
+      // Upload the trimmed cut if the entry has trim points
+      const filePath = await prepareEntryAudio({
+        ...song,
+        start_seconds: track.start_seconds,
+        end_seconds: track.end_seconds
+      }, { signal });
+
+      const { key, cached } = await uploadSongToYoto(song, filePath, creds.accessToken, {
+        log,
+        signal,
+        uploadId,
+        onUploaded: (id) => {
+          uploadId = id;
+          updateTrack.run('uploaded', id, null, null, track.id);
+        }
+      });
+      updateTrack.run('transcoded', uploadId, key, null, track.id);
+      send({ type: 'upload-complete', current: i + 1, total, title: track.title, cached });
+    } catch (err) {
+      if (signal.aborted) {
+        throw new Error('Upload cancelled');
+      }
+      updateTrack.run('failed', uploadId, null, err.message, track.id);
+      errors.push({ title: track.title, error: err.message });
+      send({ type: 'upload-error', current: i + 1, total, title: track.title, error: err.message });
     }
+  }
+
+  if (errors.length > 0) {
+    const summary = errors.length === total
+      ? 'All uploads failed'
+      : `${errors.length} of ${total} tracks failed to upload. Upload again to retry just those tracks.`;
+    throw new Error(summary);
+  }
+
+  const sessionTracks = getUploadSession(sessionId).tracks;
+  const iconMediaIds = await ensureIconsUploaded(
+    [...sessionTracks.map(t => t.icon_id), ...getChapters(playlist.id).map(c => c.icon_id)],
+    creds.accessToken,
+    (msg) => send({ type: 'log', message: msg })
+  );
 
-    sendEvent({ type: 'log', message: `Sending: ${JSON.stringify(content).substring(0, 300)}...` });
+  // Session tracks snapshot the entry (trim, chapter) the audio was uploaded for
+  const getSong = db.prepare('SELECT * FROM songs WHERE id = ?');
+  const entries = sessionTracks.map(t => ({
+    ...getSong.get(t.song_id),
+    start_seconds: t.start_seconds,
+    end_seconds: t.end_seconds,
+    chapter_id: t.chapter_id,
+    sessionTrack: t
+  }));
+  const parts = planCardParts(playlist, entries, ({ sessionTrack: t }) => ({
+    title: t.title,
+    key: t.transcoded_key,
+    duration: t.duration,
+    chapterId: t.chapter_id,
+    iconMediaId: iconMediaIds.get(t.icon_id)
+  }), iconMediaIds);
+
+  const coverUrl = await ensureCoverUploaded(playlist, creds.accessToken, (msg) => send({ type: 'log', message: msg }));
+
+  const cards = [];
+  let firstCardData = null;
+  for (const part of parts) {
+    send({
+      type: 'log',
+      message: `${part.cardId ? 'Updating' : 'Creating'} Yoto card${parts.length > 1 ? ` "${part.title}"` : ''}...`
+    });
+
+    const content = buildCardContent(part, part.chapters, creds.userId, coverUrl);
+    send({ type: 'log', message: `Sending: ${JSON.stringify(content).substring(0, 300)}...` });
 
     const persistResponse = await fetch(`${YOTO_API_BASE}/content`, {
       method: 'POST',
@@ -398,157 +657,808 @@ router.get('/upload-playlist/:playlistId/stream', async (req, res) => {
 
     if (!persistResponse.ok) {
       const text = await persistResponse.text();
-      sendEvent({ type: 'log', message: `Error response: ${text}` });
-      sendEvent({ type: 'error', error: `Failed to create card: ${persistResponse.status} - ${text}` });
-      res.end();
-      return;
+      send({ type: 'log', message: `Error response: ${text}` });
+      throw new Error(`Failed to create card: ${persistResponse.status} - ${text}`);
     }
 
     const cardData = await persistResponse.json();
+    firstCardData = firstCardData || cardData;
 
     // Save the cardId for future updates
-    const newCardId = cardData.card?.cardId;
-    if (newCardId && newCardId !== playlist.yoto_card_id) {
-      db.prepare('UPDATE playlists SET yoto_card_id = ? WHERE id = ?').run(newCardId, playlistId);
-      sendEvent({ type: 'log', message: `Saved card ID: ${newCardId}` });
+    const cardId = cardData.card?.cardId || part.cardId;
+    if (cardId !== part.cardId) {
+      send({ type: 'log', message: `Saved card ID: ${cardId}` });
     }
+    saveCardPart(playlist.id, part.index, { cardId, contentHash: cardFingerprint(content) });
+    cards.push({ part: part.index, cardId, title: part.title });
+  }
 
-    sendEvent({ type: 'done', success: true, card: cardData, uploadedTracks: tracks.length, errors: errors.length > 0 ? errors : undefined });
-    res.end();
+  // Cards left over from when the playlist had more parts are kept on Yoto, just no longer updated
+  for (const cardId of removeCardPartsFrom(playlist.id, parts.length)) {
+    send({ type: 'log', message: `Card ${cardId} is no longer part of this playlist; delete it in the Yoto app if it's not needed` });
+  }
+
+  updateUploadSession(sessionId, { status: 'completed', card_id: cards[0]?.cardId });
+
+  return { sessionId, card: firstCardData, cards, uploadedTracks: sessionTracks.length };
+}
+
+// Forward a session's job events to an SSE client until the job finishes or the client leaves
+function streamUploadSession(sessionId, req, sendEvent, end) {
+  const session = getUploadSession(sessionId);
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    jobEvents.off('event', onEvent);
+    jobEvents.off('update', onUpdate);
+    end();
+  };
+
+  const onEvent = ({ jobId, ...data }) => {
+    if (jobId === session.job_id) {
+      sendEvent(data);
+    }
+  };
+
+  const onUpdate = (job) => {
+    if (job.id !== session.job_id) return;
+
+    if (job.status === 'completed') {
+      sendEvent({ type: 'done', success: true, ...job.result });
+      close();
+    } else if (job.status === 'failed' || job.status === 'cancelled') {
+      sendEvent({ type: 'error', error: job.error, session: getUploadSession(sessionId) });
+      close();
+    }
+  };
+
+  jobEvents.on('event', onEvent);
+  jobEvents.on('update', onUpdate);
+  req.on('close', close);
+
+  // Let (re)attaching clients know where the session is up to
+  sendEvent({ type: 'session', session });
+
+  const job = getJob(session.job_id);
+  if (!job) {
+    sendEvent({ type: 'error', error: session.error || 'Upload session is not running', session });
+    close();
+  } else {
+    onUpdate(job);
+  }
+}
+
+// Pre-flight checks shared by the upload routes. Returns { error } with an HTTP status on failure.
+// split overrides the playlist's card_split (undefined keeps it, 'off' clears it); the returned
+// playlist carries the override.
+function checkPlaylistUploadable(playlistId, split) {
+  if (!getStoredCredentials()) {
+    return { error: { status: 401, error: 'Yoto not connected. Please login first.' } };
+  }
+
+  const stored = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
+  if (!stored) {
+    return { error: { status: 404, error: 'Playlist not found' } };
+  }
+
+  if (split !== undefined && split !== 'off' && !CARD_SPLIT_MODES.includes(split)) {
+    return { error: { status: 400, error: `split must be one of: ${[...CARD_SPLIT_MODES, 'off'].join(', ')}` } };
+  }
+  const playlist = split === undefined ? stored : { ...stored, card_split: split === 'off' ? null : split };
+
+  const songs = getPlaylistSongs(playlistId);
+  const notDownloaded = songs.filter(s => s.source !== 'yoto' && (!s.file_path || !fs.existsSync(s.file_path)));
+  if (notDownloaded.length > 0) {
+    return { error: { status: 400, error: 'Some songs not downloaded', missing: notDownloaded.map(s => s.title) } };
+  }
+
+  const validation = validatePlaylist(playlistId, { split: playlist.card_split });
+  if (!validation.valid) {
+    return {
+      error: {
+        status: 400,
+        error: `Playlist exceeds Yoto card limits: ${validation.errors.map(e => e.message).join('; ')}`,
+        validation
+      }
+    };
+  }
+
+  return { playlist, songs };
+}
+
+// Uploading over an existing card needs the confirmToken from a fresh preview
+async function checkCardUpdateConfirmed(playlist, confirmToken) {
+  if (getPlaylistCards(playlist.id).length === 0) return {};
+
+  let preview;
+  try {
+    preview = await previewCardUpdate(playlist);
   } catch (error) {
-    sendEvent({ type: 'error', error: error.message });
-    res.end();
+    return { error: { status: 502, error: 'Failed to fetch Yoto card', details: error.message } };
   }
-});
 
-// Upload entire playlist to Yoto as a new card (non-streaming fallback)
-router.post('/upload-playlist/:playlistId', async (req, res) => {
-  const { playlistId } = req.params;
-  const creds = getStoredCredentials();
+  if (confirmToken !== preview.confirmToken) {
+    return {
+      error: {
+        status: 409,
+        error: confirmToken
+          ? 'The playlist or the Yoto card changed since the preview. Review the changes again.'
+          : 'Review the changes to the existing Yoto card(s) before uploading.',
+        needsConfirmation: true,
+        preview
+      }
+    };
+  }
 
-  if (!creds) {
-    return res.status(401).json({ error: 'Yoto not connected. Please login first.' });
+  return {};
+}
+
+// Compare the remote card(s) with what an upload of the playlist would send: one preview per
+// card the upload would write (new cards included), plus cards the playlist no longer needs
+async function previewCardUpdate(playlist) {
+  const client = getYotoClient();
+  if (!client) {
+    throw new Error('Yoto not connected. Please login first.');
   }
 
-  const playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
-  if (!playlist) {
-    return res.status(404).json({ error: 'Playlist not found' });
+  const existingCards = getPlaylistCards(playlist.id);
+
+  // Tracks carry the transcoded key of audio that doesn't need uploading (null if it does)
+  const parts = planCardParts(playlist, getPlaylistSongs(playlist.id), song => ({
+    songId: song.id,
+    title: getEntryTitle(song),
+    key: findTranscodedKey(song),
+    chapterId: song.chapter_id,
+    iconId: song.icon_id
+  }));
+
+  const cards = [];
+  const remoteHashes = [];
+  for (const part of parts) {
+    const localChapters = part.chapters.map(c => ({
+      title: c.title,
+      keys: c.tracks.map(t => t.key),
+      tracks: c.tracks
+    }));
+    const localTracks = localChapters.flatMap(c => c.tracks);
+    const upload = localTracks.filter(t => !t.key).map(t => ({ songId: t.songId, title: t.title }));
+    const tracks = { upload, reused: localTracks.length - upload.length };
+
+    if (!part.cardId) {
+      cards.push({ part: part.index, cardId: null, new: true, title: part.title, chapterCount: localChapters.length, tracks });
+      continue;
+    }
+
+    const data = await client.getContent({ cardId: part.cardId });
+    const card = data.card || data;
+    const remoteChapters = (card.content?.chapters || []).map(c => ({
+      title: c.title,
+      keys: (c.tracks || []).map(t => parseYotoKey(t.trackUrl))
+    }));
+    const chapters = diffChapters(remoteChapters, localChapters);
+
+    const remoteHash = cardFingerprint(card);
+    remoteHashes.push(remoteHash);
+    const stored = existingCards.find(c => c.part_index === part.index);
+
+    cards.push({
+      part: part.index,
+      cardId: part.cardId,
+      new: false,
+      // null when we have no record of our last push (e.g. cards uploaded by older versions)
+      remoteEdited: stored.content_hash ? remoteHash !== stored.content_hash : null,
+      lastPushedAt: stored.pushed_at,
+      title: card.title === part.title ? null : { from: card.title, to: part.title },
+      chapters,
+      tracks,
+      unchanged: upload.length === 0
+        && card.title === part.title
+        && Object.values(chapters).every(list => list.length === 0)
+    });
+  }
+
+  const unusedCards = existingCards
+    .filter(c => c.part_index >= parts.length)
+    .map(c => ({ part: c.part_index, cardId: c.card_id }));
+
+  return {
+    split: playlist.card_split || null,
+    cards,
+    unusedCards,
+    remoteEdited: cards.some(c => c.remoteEdited) ? true
+      : cards.some(c => c.remoteEdited === null) ? null
+        : false,
+    unchanged: unusedCards.length === 0 && cards.every(c => c.unchanged),
+    confirmToken: crypto.createHash('sha256')
+      .update(JSON.stringify({
+        remoteHashes,
+        parts: parts.map(part => [
+          part.title,
+          part.cardId,
+          part.chapters.map(c => [c.title, c.tracks.map(t => [t.songId, t.key, t.title, t.iconId])])
+        ])
+      }))
+      .digest('hex')
+      .substring(0, 16)
+  };
+}
+
+// The cards an upload would write: the playlist's entries (song rows with their playlist
+// fields) split into parts per its card_split, each with its card chapters built from
+// toTrack(entry), its title, and the card it updates (null for a new card)
+function planCardParts(playlist, entries, toTrack, iconMediaIds = new Map()) {
+  const playlistChapters = getChapters(playlist.id);
+  const cards = getPlaylistCards(playlist.id);
+  const parts = partitionEntries(entries, playlist.card_split);
+
+  return parts.map((partEntries, index) => ({
+    index,
+    title: parts.length > 1 ? `${playlist.name} - Part ${index + 1}` : playlist.name,
+    cardId: cards.find(c => c.part_index === index)?.card_id || null,
+    chapters: groupTracksIntoChapters(partEntries.map(toTrack), playlistChapters, iconMediaIds)
+  }));
+}
+
+// Start (or continue the last failed) upload session, remembering the split it was checked with
+function startPlaylistUpload(playlist) {
+  db.prepare('UPDATE playlists SET card_split = ? WHERE id = ?').run(playlist.card_split || null, playlist.id);
+
+  return resumeUploadSession(getLatestFailedUploadSession(playlist.id)?.id)
+    || createUploadSession(playlist.id);
+}
+
+function findTranscodedKey(entry) {
+  if (entry.source === 'yoto') return entry.yoto_key;
+
+  const filePath = getEntryAudioPath(entry);
+  if (!fs.existsSync(filePath)) return null;
+
+  return findYotoMedia(entry.id, filePath)?.transcoded_key || null;
+}
+
+// Chapter-level differences between the remote card and the local plan. Chapters are
+// matched by their tracks' audio first, then by title (same chapter, different tracks).
+function diffChapters(remote, local) {
+  const signature = (c) => (c.keys.length > 0 && c.keys.every(Boolean) ? c.keys.join('|') : null);
+  const pairs = [];
+  const matchedRemote = new Set();
+  const matchedLocal = new Set();
+
+  const match = (isMatch) => {
+    local.forEach((l, li) => {
+      if (matchedLocal.has(li)) return;
+      const ri = remote.findIndex((r, i) => !matchedRemote.has(i) && isMatch(l, r));
+      if (ri === -1) return;
+      matchedLocal.add(li);
+      matchedRemote.add(ri);
+      pairs.push({ li, ri });
+    });
+  };
+  match((l, r) => signature(l) && signature(l) === signature(r));
+  match((l, r) => l.title === r.title);
+
+  // Chapters whose relative order changed: everything outside the longest run of
+  // matched chapters that kept their order
+  pairs.sort((a, b) => a.li - b.li);
+  const inOrder = longestIncreasingRun(pairs.map(p => p.ri));
+
+  return {
+    added: local
+      .map((c, position) => ({ title: c.title, position }))
+      .filter((c) => !matchedLocal.has(c.position)),
+    removed: remote
+      .map((c, position) => ({ title: c.title, position }))
+      .filter((c) => !matchedRemote.has(c.position)),
+    reordered: pairs
+      .filter((p, i) => !inOrder.has(i))
+      .map(p => ({ title: local[p.li].title, from: p.ri, to: p.li })),
+    retitled: pairs
+      .filter(p => local[p.li].title !== remote[p.ri].title)
+      .map(p => ({ from: remote[p.ri].title, to: local[p.li].title, position: p.li })),
+    changed: pairs
+      .filter(p => local[p.li].keys.join('|') !== remote[p.ri].keys.join('|'))
+      .map(p => ({ title: local[p.li].title, position: p.li }))
+  };
+}
+
+// Indexes of a longest strictly increasing subsequence of values
+function longestIncreasingRun(values) {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+
+  for (let i = 0; i < values.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+
+  const indexes = new Set();
+  let i = lengths.indexOf(Math.max(0, ...lengths));
+  while (i !== -1) {
+    indexes.add(i);
+    i = previous[i];
   }
+  return indexes;
+}
+
+// Hash of the parts of a card's content we control, to notice edits made elsewhere
+function cardFingerprint(card) {
+  const chapters = (card.content?.chapters || []).map(c => ({
+    title: c.title,
+    tracks: (c.tracks || []).map(t => ({ title: t.title, trackUrl: t.trackUrl }))
+  }));
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ title: card.title, chapters }))
+    .digest('hex');
+}
+
+function parseYotoKey(trackUrl) {
+  return trackUrl?.startsWith('yoto:#') ? trackUrl.slice('yoto:#'.length) : null;
+}
 
-  const songs = db.prepare(`
-    SELECT s.*, ps.position
+function getPlaylistSongs(playlistId) {
+  return db.prepare(`
+    SELECT s.*, ps.position, ps.start_seconds, ps.end_seconds, ps.icon_id, ps.chapter_id, ps.display_title
     FROM songs s
     JOIN playlist_songs ps ON s.id = ps.song_id
     WHERE ps.playlist_id = ?
     ORDER BY ps.position
   `).all(playlistId);
+}
 
-  // Check all songs are downloaded
-  const notDownloaded = songs.filter(s => !s.file_path || !fs.existsSync(s.file_path));
-  if (notDownloaded.length > 0) {
-    return res.status(400).json({
-      error: 'Some songs not downloaded',
-      missing: notDownloaded.map(s => s.title)
-    });
-  }
+function getUploadSession(sessionId) {
+  const session = db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(sessionId);
+  if (!session) return null;
 
-  try {
-    const tracks = [];
-    const errors = [];
+  const tracks = db.prepare(`
+    SELECT * FROM upload_session_tracks WHERE session_id = ? ORDER BY position
+  `).all(sessionId);
 
-    // Upload each track
-    for (let i = 0; i < songs.length; i++) {
-      const song = songs[i];
-      try {
-        console.log(`Uploading track ${i + 1}/${songs.length}: ${song.title}`);
-        const result = await uploadAudioToYoto(song.file_path, creds.accessToken);
-        tracks.push({
-          title: song.title,
-          trackNumber: i + 1,
-          key: result.key,
-          duration: song.duration,
-          format: 'mp3'
-        });
-      } catch (err) {
-        errors.push({ title: song.title, error: err.message });
+  return { ...session, tracks };
+}
+
+function updateUploadSession(sessionId, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`
+    UPDATE upload_sessions
+    SET ${keys.map(k => `${k} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(...keys.map(k => fields[k]), sessionId);
+}
+
+// The playlist's session whose job is still queued or running, if any
+function getActiveUploadSession(playlistId) {
+  const session = db.prepare(`
+    SELECT us.id
+    FROM upload_sessions us
+    JOIN jobs j ON j.id = us.job_id
+    WHERE us.playlist_id = ? AND j.status IN ('queued', 'running')
+    ORDER BY us.rowid DESC
+    LIMIT 1
+  `).get(playlistId);
+
+  return session ? getUploadSession(session.id) : null;
+}
+
+function getLatestFailedUploadSession(playlistId) {
+  const latest = db.prepare(`
+    SELECT * FROM upload_sessions WHERE playlist_id = ? ORDER BY rowid DESC LIMIT 1
+  `).get(playlistId);
+
+  return latest?.status === 'failed' ? latest : null;
+}
+
+function createUploadSession(playlistId) {
+  const sessionId = uuidv4();
+
+  db.prepare(`
+    INSERT INTO upload_sessions (id, playlist_id) VALUES (?, ?)
+  `).run(sessionId, playlistId);
+  syncUploadSessionTracks(sessionId, playlistId);
+
+  return startUploadSessionJob(sessionId, playlistId);
+}
+
+// Re-queue a failed session. Returns null if there's nothing to resume.
+function resumeUploadSession(sessionId) {
+  const session = sessionId && getUploadSession(sessionId);
+  if (!session || session.status !== 'failed') return null;
+
+  syncUploadSessionTracks(sessionId, session.playlist_id);
+  updateUploadSession(sessionId, { status: 'running', error: null });
+
+  return startUploadSessionJob(sessionId, session.playlist_id);
+}
+
+function startUploadSessionJob(sessionId, playlistId) {
+  const job = enqueueJob('yoto-upload', { playlistId, payload: { sessionId } });
+  updateUploadSession(sessionId, { job_id: job.id });
+  return getUploadSession(sessionId);
+}
+
+// Rebuild a session's track list from the playlist's current songs, keeping the
+// upload/transcode state of songs that were already processed
+const syncUploadSessionTracks = db.transaction((sessionId, playlistId) => {
+  const previous = new Map(
+    db.prepare('SELECT * FROM upload_session_tracks WHERE session_id = ?').all(sessionId)
+      .map(t => [t.song_id, t])
+  );
+
+  db.prepare('DELETE FROM upload_session_tracks WHERE session_id = ?').run(sessionId);
+
+  const insert = db.prepare(`
+    INSERT INTO upload_session_tracks (
+      id, session_id, song_id, position, title, duration, start_seconds, end_seconds, icon_id,
+      chapter_id, status, upload_id, transcoded_key
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  getPlaylistSongs(playlistId).forEach((song, index) => {
+    const prev = previous.get(song.id);
+    // A changed trim means different audio, so the earlier upload can't be reused
+    const keep = prev
+      && (prev.status === 'transcoded' || prev.status === 'uploaded')
+      && prev.start_seconds === song.start_seconds
+      && prev.end_seconds === song.end_seconds;
+
+    // Remote-only tracks are already transcoded on Yoto
+    const state = song.source === 'yoto'
+      ? { status: 'transcoded', upload_id: null, transcoded_key: song.yoto_key }
+      : keep ? prev : { status: 'pending', upload_id: null, transcoded_key: null };
+
+    insert.run(
+      uuidv4(),
+      sessionId,
+      song.id,
+      index,
+      getEntryTitle(song),
+      getEntryDuration(song),
+      song.start_seconds,
+      song.end_seconds,
+      song.icon_id,
+      song.chapter_id,
+      state.status,
+      state.upload_id,
+      state.transcoded_key
+    );
+  });
+});
+
+// Create a playlist from a card's content. Chapters holding several tracks become local
+// chapters; tracks that aren't Yoto-hosted audio (e.g. streams) can't be kept and are skipped.
+const importCard = db.transaction((card) => {
+  const playlistId = uuidv4();
+  const coverUrl = card.metadata?.cover?.imageL || null;
+  rememberStockCovers([coverUrl]);
+
+  db.prepare(`
+    INSERT INTO playlists (id, name, description, cover_source, cover_url)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    playlistId,
+    card.title || 'Imported card',
+    card.metadata?.description || '',
+    coverUrl ? 'yoto' : null,
+    coverUrl
+  );
+  saveCardPart(playlistId, 0, { cardId: card.cardId, contentHash: cardFingerprint(card), pushed: false });
+
+  const insertChapter = db.prepare(`
+    INSERT INTO chapters (id, playlist_id, title, position) VALUES (?, ?, ?, ?)
+  `);
+  const insertEntry = db.prepare(`
+    INSERT OR IGNORE INTO playlist_songs (id, playlist_id, song_id, position, chapter_id)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  let position = 0;
+  let chapterPosition = 0;
+  let imported = 0;
+  let remoteOnly = 0;
+  const skipped = [];
+
+  for (const chapter of card.content?.chapters || []) {
+    const tracks = [];
+    for (const track of chapter.tracks || []) {
+      if (parseYotoKey(track.trackUrl)) {
+        tracks.push(track);
+      } else {
+        skipped.push({ title: track.title || chapter.title, reason: 'Not Yoto-hosted audio' });
       }
     }
 
-    if (tracks.length === 0) {
-      return res.status(500).json({ error: 'All uploads failed', errors });
+    let chapterId = null;
+    if (tracks.length > 1) {
+      chapterId = uuidv4();
+      insertChapter.run(chapterId, playlistId, chapter.title || `Chapter ${chapterPosition + 1}`, chapterPosition++);
+    }
+
+    for (const track of tracks) {
+      const key = parseYotoKey(track.trackUrl);
+      let songId = findSongForYotoKey(key);
+
+      if (!songId) {
+        songId = uuidv4();
+        // Track titles get the noise stripped, but aren't split: cards have no artist field
+        const { title } = cleanIncomingSongInfo({ title: track.title || chapter.title || 'Untitled' }, { split: false });
+        db.prepare(`
+          INSERT INTO songs (id, title, duration, source, yoto_key) VALUES (?, ?, ?, 'yoto', ?)
+        `).run(songId, title, track.duration || null, key);
+        remoteOnly++;
+      }
+
+      // A playlist holds each song once, so a repeated track can't be kept
+      if (insertEntry.run(uuidv4(), playlistId, songId, position, chapterId).changes === 0) {
+        skipped.push({ title: track.title || chapter.title, reason: 'Duplicate track' });
+        continue;
+      }
+      position++;
+      imported++;
     }
+  }
 
-    // Yoto content structure based on blast-hardcheese/Yoto-Music
-    const content = {
-      title: playlist.name,
-      content: {
-        activity: 'yoto_Player',
-        chapters: tracks.map((t, i) => ({
-          key: String(i).padStart(2, '0'),
-          title: t.title,
-          tracks: [{
-            key: '01',
+  return { playlistId, imported, remoteOnly, skipped };
+});
+
+// The local song for a transcoded key: one whose (full, untrimmed) audio we uploaded,
+// or a remote-only song from an earlier import
+function findSongForYotoKey(key) {
+  const uploaded = db.prepare(`
+    SELECT s.id
+    FROM song_yoto_media m
+    JOIN songs s ON s.id = m.song_id
+    WHERE m.transcoded_key = ? AND m.file_path IN (s.file_path, s.normalized_path)
+  `).get(key);
+  if (uploaded) return uploaded.id;
+
+  return db.prepare('SELECT id FROM songs WHERE yoto_key = ?').get(key)?.id || null;
+}
+
+// Yoto content structure based on blast-hardcheese/Yoto-Music.
+// card is { title, cardId } (cardId null for a new card).
+function buildCardContent(card, chapters, userId, coverUrl = DEFAULT_COVER_URL) {
+  const content = {
+    title: card.title,
+    content: {
+      activity: 'yoto_Player',
+      chapters: chapters.map((chapter, i) => ({
+        key: String(i).padStart(2, '0'),
+        title: chapter.title,
+        ...(chapter.iconMediaId && { display: { icon16x16: `yoto:#${chapter.iconMediaId}` } }),
+        tracks: chapter.tracks.map((t, j) => {
+          const iconMediaId = t.iconMediaId || chapter.iconMediaId;
+          return {
+            key: String(j + 1).padStart(2, '0'),
             title: t.title,
             format: 'aac',
             trackUrl: `yoto:#${t.key}`,
             type: 'audio',
-            duration: t.duration || 0
-          }]
-        })),
-        config: {
-          onlineOnly: false
-        },
-        version: '1'
-      },
-      metadata: {
-        cover: {
-          imageL: 'https://cdn.yoto.io/myo-cover/star_grapefruit.gif'
-        }
+            duration: t.duration || 0,
+            ...(iconMediaId && { display: { icon16x16: `yoto:#${iconMediaId}` } })
+          };
+        })
+      })),
+      config: {
+        onlineOnly: false
       },
-      userId: creds.userId
-    };
+      version: '1'
+    },
+    metadata: {
+      cover: {
+        imageL: coverUrl
+      }
+    },
+    userId
+  };
+
+  // Include cardId for updates
+  if (card.cardId) {
+    content.cardId = card.cardId;
+  }
+
+  return content;
+}
+
+// Group tracks (in playlist order) into card chapters. Consecutive tracks in the same
+// playlist chapter share one Yoto chapter; tracks without a chapter (or every track,
+// when the playlist has no chapters) get a chapter of their own.
+function groupTracksIntoChapters(tracks, playlistChapters, iconMediaIds = new Map()) {
+  const chaptersById = new Map(playlistChapters.map(c => [c.id, c]));
+  const chapters = [];
 
-    // Include cardId for updates
-    if (playlist.yoto_card_id) {
-      content.cardId = playlist.yoto_card_id;
+  for (const track of tracks) {
+    const playlistChapter = chaptersById.get(track.chapterId);
+    const last = chapters[chapters.length - 1];
+
+    if (playlistChapter && last?.id === playlistChapter.id) {
+      last.tracks.push(track);
+      continue;
     }
 
-    // Persist the content to Yoto
-    const persistResponse = await fetch(`${YOTO_API_BASE}/content`, {
-      method: 'POST',
-      headers: getHeaders(creds.accessToken),
-      body: JSON.stringify(content)
-    });
+    chapters.push(playlistChapter
+      ? {
+        id: playlistChapter.id,
+        title: playlistChapter.title,
+        iconMediaId: iconMediaIds.get(playlistChapter.icon_id) || track.iconMediaId,
+        tracks: [track]
+      }
+      : { id: null, title: track.title, iconMediaId: track.iconMediaId, tracks: [track] });
+  }
 
-    if (!persistResponse.ok) {
-      const text = await persistResponse.text();
-      throw new Error(`Failed to create card: ${persistResponse.status} - ${text}`);
+  return chapters;
+}
+
+// Helper: The cover URL to reference in the card. A local cover is uploaded to Yoto
+// the first time it's needed and the hosted URL kept, so later syncs reuse it.
+async function ensureCoverUploaded(playlist, token, log = () => {}) {
+  if (playlist.cover_url) {
+    return playlist.cover_url;
+  }
+
+  if (!playlist.cover_path || !fs.existsSync(playlist.cover_path)) {
+    return DEFAULT_COVER_URL;
+  }
+
+  try {
+    log('Uploading cover image...');
+    const coverUrl = await uploadCoverToYoto(playlist.cover_path, token);
+    db.prepare('UPDATE playlists SET cover_url = ? WHERE id = ?').run(coverUrl, playlist.id);
+    return coverUrl;
+  } catch (err) {
+    // Don't fail the whole card over artwork; it's retried on the next sync
+    log(`Cover upload failed, using default cover: ${err.message}`);
+    return DEFAULT_COVER_URL;
+  }
+}
+
+// Helper: Make sure each icon is on Yoto, uploading each one at most once ever
+// (the media id is cached on the icon). Returns a Map of icon id -> media id.
+async function ensureIconsUploaded(iconIds, token, log = () => {}) {
+  const mediaIds = new Map();
+
+  for (const iconId of new Set(iconIds.filter(Boolean))) {
+    const icon = db.prepare('SELECT * FROM icons WHERE id = ?').get(iconId);
+    if (!icon) continue;
+
+    if (icon.yoto_media_id) {
+      mediaIds.set(iconId, icon.yoto_media_id);
+      continue;
     }
 
-    const cardData = await persistResponse.json();
+    try {
+      log(`Uploading icon: ${icon.name || icon.id}`);
+      const mediaId = await uploadIconToYoto(icon, token);
+      db.prepare('UPDATE icons SET yoto_media_id = ? WHERE id = ?').run(mediaId, icon.id);
+      mediaIds.set(iconId, mediaId);
+    } catch (err) {
+      // Chapters without their icon still play fine; it's retried on the next sync
+      log(`Icon upload failed for ${icon.name || icon.id}: ${err.message}`);
+    }
+  }
 
-    // Save the cardId for future updates
-    const newCardId = cardData.card?.cardId;
-    if (newCardId && newCardId !== playlist.yoto_card_id) {
-      db.prepare('UPDATE playlists SET yoto_card_id = ? WHERE id = ?').run(newCardId, playlistId);
+  return mediaIds;
+}
+
+// Helper: Upload a 16x16 icon through Yoto's display icon endpoint. Returns its media id.
+async function uploadIconToYoto(icon, token) {
+  const filename = `${icon.name || icon.id}.png`;
+  const response = await fetch(
+    `${YOTO_API_BASE}/media/displayIcons/user/me/upload?autoConvert=true&filename=${encodeURIComponent(filename)}`,
+    {
+      method: 'POST',
+      headers: { ...getHeaders(token), 'content-type': 'image/png' },
+      body: fs.readFileSync(icon.file_path)
     }
+  );
 
-    res.json({
-      success: true,
-      card: cardData,
-      uploadedTracks: tracks.length,
-      errors: errors.length > 0 ? errors : undefined
-    });
-  } catch (error) {
-    console.error('Upload playlist error:', error);
-    res.status(500).json({ error: 'Failed to upload playlist', details: error.message });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} - ${text}`);
+  }
+
+  const data = await response.json();
+  const mediaId = data.displayIcon?.mediaId;
+  if (!mediaId) {
+    throw new Error(`No mediaId in response: ${JSON.stringify(data)}`);
+  }
+
+  return mediaId;
+}
+
+// Helper: Upload a cover image through Yoto's cover image endpoint. Returns the hosted URL.
+async function uploadCoverToYoto(imagePath, token) {
+  const response = await fetch(
+    `${YOTO_API_BASE}/media/coverImage/user/me/upload?autoconvert=true&coverType=default`,
+    {
+      method: 'POST',
+      headers: { ...getHeaders(token), 'content-type': 'image/jpeg' },
+      body: fs.readFileSync(imagePath)
+    }
+  );
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} - ${text}`);
+  }
+
+  const data = await response.json();
+  const mediaUrl = data.coverImage?.mediaUrl;
+  if (!mediaUrl) {
+    throw new Error(`No mediaUrl in response: ${JSON.stringify(data)}`);
+  }
+
+  return mediaUrl;
+}
+
+// Helper: Upload one of a song's audio files (original, normalized or trimmed) to Yoto's
+// transcoding service. Returns { key, cached }. Keys from earlier uploads of the same file
+// are reused without touching the Yoto API. Pass uploadId to only poll the transcode of a
+// file that is already on S3.
+async function uploadSongToYoto(song, filePath, token, { log = () => {}, signal, uploadId, onUploaded } = {}) {
+
+  // Same file as last time (path, size and mtime unchanged): no need to even hash it
+  const known = findYotoMedia(song.id, filePath);
+  if (known) {
+    log('Reusing previously transcoded audio');
+    return { key: known.transcoded_key, cached: true };
   }
-});
 
-// Helper: Upload audio file to Yoto's transcoding service
-async function uploadAudioToYoto(filePath, token, log = () => {}) {
   const fileBuffer = fs.readFileSync(filePath);
   const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+  // Same audio uploaded before under another path or song
+  const byHash = db.prepare('SELECT * FROM song_yoto_media WHERE sha256 = ? LIMIT 1').get(sha256);
+  if (byHash) {
+    log('Reusing previously transcoded audio');
+    saveYotoMedia(song.id, filePath, sha256, byHash.transcoded_key);
+    return { key: byHash.transcoded_key, cached: true };
+  }
+
+  if (!uploadId) {
+    uploadId = await startAudioUpload(filePath, token, log, { fileBuffer, sha256 });
+    onUploaded?.(uploadId);
+  }
+
+  const { key } = await waitForTranscode(uploadId, token, log, signal);
+  saveYotoMedia(song.id, filePath, sha256, key);
+  return { key, cached: false };
+}
+
+function findYotoMedia(songId, filePath) {
+  const stats = fs.statSync(filePath);
+
+  return db.prepare(`
+    SELECT * FROM song_yoto_media
+    WHERE song_id = ? AND file_path = ? AND file_size = ? AND file_mtime = ?
+  `).get(songId, filePath, stats.size, Math.floor(stats.mtimeMs));
+}
+
+function saveYotoMedia(songId, filePath, sha256, key) {
+  const stats = fs.statSync(filePath);
+
+  db.prepare(`
+    INSERT INTO song_yoto_media (sha256, song_id, transcoded_key, file_path, file_size, file_mtime)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(sha256, song_id) DO UPDATE SET
+      transcoded_key = excluded.transcoded_key,
+      file_path = excluded.file_path,
+      file_size = excluded.file_size,
+      file_mtime = excluded.file_mtime,
+      transcoded_at = CURRENT_TIMESTAMP
+  `).run(sha256, songId, key, filePath, stats.size, Math.floor(stats.mtimeMs));
+}
+
+// Helper: Get an upload URL for a file and put it on S3. Returns the Yoto uploadId.
+async function startAudioUpload(filePath, token, log = () => {}, { fileBuffer, sha256 } = {}) {
+  fileBuffer = fileBuffer || fs.readFileSync(filePath);
+  sha256 = sha256 || crypto.createHash('sha256').update(fileBuffer).digest('hex');
   const filename = path.basename(filePath);
 
   // Step 1: Get upload URL
@@ -578,7 +1488,7 @@ async function uploadAudioToYoto(filePath, token, log = () => {}) {
     const s3Response = await fetch(uploadUrl, {
       method: 'PUT',
       headers: {
-        'Content-Type': 'audio/mpeg'
+        'Content-Type': getAudioMimeType(filePath)
       },
       body: fileBuffer
     });
@@ -590,13 +1500,21 @@ async function uploadAudioToYoto(filePath, token, log = () => {}) {
     log('File already uploaded, checking transcoding...');
   }
 
-  // Step 3: Poll for transcoding completion
+  return uploadId;
+}
+
+// Helper: Poll until Yoto has transcoded an upload. Returns { key } (the transcodedSha256).
+async function waitForTranscode(uploadId, token, log = () => {}, signal) {
   log('Waiting for transcoding...');
   let transcoded = null;
 
   for (let attempt = 0; attempt < 30; attempt++) {
     await new Promise(r => setTimeout(r, 2000)); // Wait 2 seconds
 
+    if (signal?.aborted) {
+      throw new Error('Upload cancelled');
+    }
+
     // Try the uploadId-based endpoint first (newer API)
     const statusResponse = await fetch(
       `${YOTO_API_BASE}/media/upload/${uploadId}/transcoded?loudnorm=false`,